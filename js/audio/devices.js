@@ -0,0 +1,58 @@
+/**
+ * Helpers for listing audio devices and routing output to a chosen device.
+ * Device labels are only exposed after the page was granted microphone access,
+ * until then devices are listed with generic names.
+ */
+
+/**
+ * Lists the available audio input and output devices.
+ * @returns {Promise<{inputs: Array<{deviceId: string, groupId: string, label: string}>, outputs: Array<{deviceId: string, groupId: string, label: string}>}>}
+ */
+export async function listAudioDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+        return { inputs: [], outputs: [] };
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const describe = (kind, fallbackName) => devices
+        .filter((device) => device.kind === kind && device.deviceId)
+        .map((device, index) => ({
+            deviceId: device.deviceId,
+            groupId: device.groupId,
+            label: device.label || `${fallbackName} ${index + 1}`
+        }));
+    return {
+        inputs: describe('audioinput', 'Microphone'),
+        outputs: describe('audiooutput', 'Speaker')
+    };
+}
+
+/**
+ * Whether the browser can route an AudioContext to a specific output device.
+ * @returns {boolean} True if AudioContext.setSinkId() is available
+ */
+export function supportsOutputSelection() {
+    return typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype;
+}
+
+/**
+ * Routes an AudioContext to an output device, falling back to the default output if the device is gone.
+ * @param {AudioContext} context - Context to route
+ * @param {string} deviceId - Output device id, empty for the system default
+ * @returns {Promise<string>} Id of the device now in use, empty for the default
+ */
+export async function setContextSink(context, deviceId) {
+    if (!supportsOutputSelection()) {
+        if (deviceId) console.warn('Selecting an audio output device is not supported in this browser');
+        return '';
+    }
+    const { outputs } = await listAudioDevices();
+    const target = deviceId && outputs.some((device) => device.deviceId === deviceId) ? deviceId : '';
+    if (deviceId && !target) {
+        console.warn('Selected audio output device not available, using the default output');
+    }
+    if (context.sinkId !== target) {
+        await context.setSinkId(target);
+        console.info('Audio output routed to', target || 'default device');
+    }
+    return target;
+}
@@ -1,4 +1,5 @@
 import { arrayBufferToBase64 } from '../utils/utils.js';
+import { listAudioDevices } from './devices.js';
 
 /**
  * AudioRecorder manages the capture and processing of audio input from the user's microphone.
@@ -8,24 +9,75 @@ import { arrayBufferToBase64 } from '../utils/utils.js';
 export class AudioRecorder extends EventTarget {
     /**
      * Creates an AudioRecorder instance
+     * @param {Object} [options]
+     * @param {Object} [options.vad] - Voice activity detection settings passed to the worklet, see getVadConfig()
+     * @param {string} [options.deviceId=''] - Preferred microphone, empty for the system default
      */
-    constructor() {
+    constructor({ vad = { enabled: false }, deviceId = '' } = {}) {
         super();
         // Core audio configuration
-        this.sampleRate = 16000;         // Sample rate in Hz   
+        this.sampleRate = 16000;         // Sample rate of the produced audio in Hz
+        this.captureSampleRate = null;   // Native rate of the capture AudioContext, resampled in the worklet
         this.stream = null;              // MediaStream from getUserMedia
         this.audioContext = null;        // AudioContext for Web Audio API
         this.source = null;              // MediaStreamAudioSourceNode
         this.processor = null;           // AudioWorkletNode for processing
+        this.analyser = null;            // AnalyserNode on the microphone for level metering
         this.onAudioData = null;         // Callback for processed audio chunks
         this.isRecording = false;        // Recording state flag
         this.isSuspended = false;        // Mic suspension state
+        this.vad = vad;                  // Voice activity detection settings
+        this.isSpeaking = false;         // Speech detected by the worklet VAD
+        this.deviceId = deviceId;        // Preferred microphone, '' follows the system default
+        this.currentDevice = null;       // { deviceId, groupId, label } of the microphone in use
+        this.deviceChangeTimer = null;
+
+        this.handleDeviceChange = this.handleDeviceChange.bind(this);
+        this.handleTrackEnded = this.handleTrackEnded.bind(this);
+    }
+
+    /**
+     * Opens the microphone with echo cancelation and noise reduction
+     * Falls back to the default microphone if the requested one is not available
+     * @param {string} deviceId - Microphone to open, empty for the system default
+     * @returns {Promise<MediaStream>} Stream with a single audio track
+     */
+    async openStream(deviceId) {
+        const constraints = {
+            channelCount: 1,
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true
+        };
+        try {
+            return await navigator.mediaDevices.getUserMedia({
+                audio: deviceId ? { ...constraints, deviceId: { exact: deviceId } } : constraints
+            });
+        } catch (error) {
+            if (deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+                console.warn('Selected microphone not available, using the default microphone');
+                return navigator.mediaDevices.getUserMedia({ audio: constraints });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Remembers which microphone a stream uses and watches its track for removal
+     * @param {MediaStream} stream - Stream returned by openStream()
+     */
+    attachStream(stream) {
+        const track = stream.getAudioTracks()[0];
+        const settings = track.getSettings();
+        this.currentDevice = { deviceId: settings.deviceId, groupId: settings.groupId, label: track.label };
+        track.addEventListener('ended', this.handleTrackEnded);
+        console.info('Microphone in use:', track.label || settings.deviceId);
     }
 
     /**
      * Initializes and starts audio capture pipeline
      * Sets up audio context, worklet processor, and media stream
-     * @param {Function} onAudioData - Callback receiving base64-encoded audio chunks
+     * @param {Function} onAudioData - Callback receiving base64-encoded Int16 audio chunks at this.sampleRate
      */
     async start(onAudioData) {
         this.onAudioData = onAudioData;
@@ -33,24 +85,19 @@ export class AudioRecorder extends EventTarget {
             console.log('[DEBUG] AudioRecorder.start() called');
 
             // Request microphone access with specific echo cancelation and noise reduction
-            this.stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    channelCount: 1,
-                    sampleRate: this.sampleRate,
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                }
-            }).catch((error) => {
+            this.stream = await this.openStream(this.deviceId).catch((error) => {
                 console.error('[DEBUG] Error accessing microphone:', error);
                 throw new Error('Error accessing microphone:' + error);
             });
+            this.attachStream(this.stream);
             console.log('[DEBUG] getUserMedia succeeded');
 
-            // Initialize Web Audio API context and nodes
-            this.audioContext = new AudioContext({ sampleRate: this.sampleRate });
+            // Initialize Web Audio API context and nodes at the device's native rate,
+            // forcing 16 kHz is rejected by some browsers and others silently capture at 48 kHz
+            this.audioContext = new AudioContext();
+            this.captureSampleRate = this.audioContext.sampleRate;
             this.source = this.audioContext.createMediaStreamSource(this.stream);
-            console.log('[DEBUG] AudioContext and source created');
+            console.log(`[DEBUG] AudioContext and source created, capturing at ${this.captureSampleRate} Hz, sending ${this.sampleRate} Hz`);
 
             // Check AudioWorklet support
             if (!this.audioContext.audioWorklet) {
@@ -68,27 +115,53 @@ export class AudioRecorder extends EventTarget {
             }
 
             try {
-                this.processor = new AudioWorkletNode(this.audioContext, 'audio-recorder-worklet');
+                this.processor = new AudioWorkletNode(this.audioContext, 'audio-recorder-worklet', {
+                    processorOptions: { targetSampleRate: this.sampleRate, vad: this.vad }
+                });
                 console.log('[DEBUG] AudioWorkletNode created');
             } catch (e) {
                 console.error('[DEBUG] Failed to create AudioWorkletNode:', e);
                 throw e;
             }
             
-            // Handle processed audio chunks from worklet
+            // Handle processed audio chunks and speech events from worklet
             this.processor.port.onmessage = (event) => {
                 if (!this.isRecording) return;
-                
-                if (event.data.event === 'chunk' && this.onAudioData) {
-                    const base64Data = arrayBufferToBase64(event.data.data.int16arrayBuffer);
-                    this.onAudioData(base64Data);
+
+                switch (event.data.event) {
+                    case 'speech_start':
+                        this.isSpeaking = true;
+                        this.dispatchEvent(new Event('speech_start'));
+                        break;
+                    case 'speech_end':
+                        this.isSpeaking = false;
+                        this.dispatchEvent(new Event('speech_end'));
+                        break;
+                    case 'chunk':
+                        // With VAD only audio between speech_start and speech_end is sent
+                        if (this.vad.enabled && !this.isSpeaking) return;
+                        if (this.onAudioData) {
+                            const base64Data = arrayBufferToBase64(event.data.data.int16arrayBuffer);
+                            this.onAudioData(base64Data);
+                        }
+                        break;
+                    case 'error':
+                        console.error('Audio worklet error:', event.data.error);
+                        break;
                 }
             };
 
+            // Tap the microphone for the visualizer's input meter
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 1024;
+            this.analyser.smoothingTimeConstant = 0.85;
+
             // Connect audio processing pipeline
+            this.source.connect(this.analyser);
             this.source.connect(this.processor);
             this.processor.connect(this.audioContext.destination);
             this.isRecording = true;
+            navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
             console.log('[DEBUG] Audio pipeline connected, recording started');
         } catch (error) {
             console.error('[DEBUG] Failed to start audio recording:', error);
@@ -106,18 +179,27 @@ export class AudioRecorder extends EventTarget {
                 return;
             }
 
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+            clearTimeout(this.deviceChangeTimer);
+
             // Stop all active media tracks
             if (this.stream) {
+                this.stream.getTracks().forEach(track => track.removeEventListener('ended', this.handleTrackEnded));
                 this.stream.getTracks().forEach(track => track.stop());
                 this.stream = null;
             }
 
             this.isRecording = false;
+            if (this.isSpeaking) {
+                this.isSpeaking = false;
+                this.dispatchEvent(new Event('speech_end'));
+            }
             console.info('Audio recording stopped');
 
             if (this.audioContext) {
                 this.audioContext.close();
             }
+            this.analyser = null;
         } catch (error) {
             throw new Error('Failed to stop audio recording:' + error);
         }
@@ -155,6 +237,90 @@ export class AudioRecorder extends EventTarget {
         }
     }
 
+    /**
+     * Moves capture to another microphone without interrupting the pipeline:
+     * the new source is connected to the running worklet before the old one is released
+     * @param {string} deviceId - Microphone to use, empty for the system default
+     * @param {Object} [options]
+     * @param {boolean} [options.remember=true] - Make the device the preferred one
+     */
+    async switchDevice(deviceId, { remember = true } = {}) {
+        if (remember) {
+            this.deviceId = deviceId;
+        }
+        if (!this.isRecording) return;
+
+        const previousStream = this.stream;
+        const previousSource = this.source;
+
+        const stream = await this.openStream(deviceId);
+        // stop() may have been called while the device opened
+        if (!this.isRecording) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        if (this.isSuspended) {
+            stream.getTracks().forEach(track => track.enabled = false);
+        }
+
+        this.source = this.audioContext.createMediaStreamSource(stream);
+        this.source.connect(this.analyser);
+        this.source.connect(this.processor);
+        this.stream = stream;
+        this.attachStream(stream);
+
+        previousSource.disconnect();
+        previousStream.getTracks().forEach(track => {
+            track.removeEventListener('ended', this.handleTrackEnded);
+            track.stop();
+        });
+
+        this.dispatchEvent(new CustomEvent('devicechange', { detail: this.currentDevice }));
+    }
+
+    /**
+     * Reacts to plugged in or removed devices (debounced, browsers fire several events per change):
+     * returns to the preferred microphone when it becomes available, leaves a removed one,
+     * and follows the system default when no microphone was chosen
+     */
+    handleDeviceChange() {
+        clearTimeout(this.deviceChangeTimer);
+        this.deviceChangeTimer = setTimeout(async () => {
+            try {
+                const { inputs } = await listAudioDevices();
+                const current = this.currentDevice;
+                const isAvailable = (deviceId) => inputs.some((device) => device.deviceId === deviceId);
+                const track = this.stream?.getAudioTracks()[0];
+
+                if (this.deviceId && isAvailable(this.deviceId) && current?.deviceId !== this.deviceId) {
+                    console.info('Preferred microphone available again, switching');
+                    await this.switchDevice(this.deviceId, { remember: false });
+                } else if (!current || !isAvailable(current.deviceId) || track?.readyState === 'ended') {
+                    console.info('Microphone removed, switching to', this.deviceId && isAvailable(this.deviceId) ? 'the preferred microphone' : 'the default microphone');
+                    await this.switchDevice(isAvailable(this.deviceId) ? this.deviceId : '', { remember: false });
+                } else if (!this.deviceId) {
+                    // Chrome lists the system default as 'default', its groupId changes when e.g. a headset is plugged in
+                    const systemDefault = inputs.find((device) => device.deviceId === 'default');
+                    if (systemDefault && current.groupId && systemDefault.groupId !== current.groupId) {
+                        console.info('System default microphone changed, switching');
+                        await this.switchDevice('', { remember: false });
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to switch microphone after device change:', error);
+            }
+        }, 500);
+    }
+
+    /**
+     * The microphone track ended, e.g. because the device was unplugged
+     */
+    handleTrackEnded() {
+        if (this.isRecording) {
+            this.handleDeviceChange();
+        }
+    }
+
     /**
      * Toggles microphone state between suspended and active
      */
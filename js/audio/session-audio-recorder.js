@@ -0,0 +1,245 @@
+/**
+ * SessionAudioRecorder captures both sides of a voice conversation on a common timeline
+ * and exports it as a stereo WAV (user left, model right) or as one WAV per side.
+ *
+ * User audio arrives in real time, so a chunk is placed where it ended minus its duration.
+ * Model audio arrives faster than real time and is placed where it will be played: right after
+ * the previous model chunk, or now if the model was silent. Audio the model sent but never played
+ * because the user interrupted it is cut off again.
+ */
+import { base64ToArrayBuffer } from '../utils/utils.js';
+
+// Rate of the exported stereo file, the model's native rate
+const EXPORT_SAMPLE_RATE = 24000;
+
+export class SessionAudioRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.startTime = 0;          // performance.now() at start()
+        this.startedAt = null;       // Date of start() for file names
+        this.tracks = this.createTracks();
+    }
+
+    /**
+     * @returns {{user: Object, model: Object}} Empty tracks with segments of { start, samples, sampleRate }
+     * @private
+     */
+    createTracks() {
+        return {
+            user: { segments: [], cursor: 0 },
+            model: { segments: [], cursor: 0 }
+        };
+    }
+
+    /**
+     * Starts a new recording, dropping the previous one
+     */
+    start() {
+        this.tracks = this.createTracks();
+        this.startTime = performance.now();
+        this.startedAt = new Date();
+        this.isRecording = true;
+        console.info('Session audio recording started');
+    }
+
+    /**
+     * Stops recording, the captured audio stays available for export
+     */
+    stop() {
+        this.isRecording = false;
+        console.info(`Session audio recording stopped after ${this.duration.toFixed(1)}s`);
+    }
+
+    /**
+     * Length of the recording in seconds
+     * @returns {number} Duration
+     */
+    get duration() {
+        return Math.max(...Object.values(this.tracks).map((track) => {
+            const last = track.segments[track.segments.length - 1];
+            return last ? last.start + last.samples.length / last.sampleRate : 0;
+        }), 0);
+    }
+
+    /**
+     * Seconds since start()
+     * @private
+     */
+    now() {
+        return (performance.now() - this.startTime) / 1000;
+    }
+
+    /**
+     * Adds a chunk of microphone audio as it is sent to the model
+     * @param {string|Int16Array} audio - Base64 encoded or raw PCM16 samples
+     * @param {number} sampleRate - Sample rate of the chunk
+     */
+    addUserAudio(audio, sampleRate) {
+        if (!this.isRecording) return;
+        const samples = typeof audio === 'string' ? new Int16Array(base64ToArrayBuffer(audio)) : audio;
+        const track = this.tracks.user;
+        // The chunk just ended, chunks flushed together (e.g. VAD pre-roll) are laid out one after another
+        const start = Math.max(this.now() - samples.length / sampleRate, track.cursor);
+        this.addSegment(track, start, samples, sampleRate);
+    }
+
+    /**
+     * Adds a chunk of model audio as it is received
+     * @param {Int16Array} samples - PCM16 samples
+     * @param {number} sampleRate - Sample rate of the chunk
+     * @param {number} [latency=0] - Seconds between receiving and playing audio when the model starts speaking (jitter buffer)
+     */
+    addModelAudio(samples, sampleRate, latency = 0) {
+        if (!this.isRecording) return;
+        const track = this.tracks.model;
+        const start = Math.max(this.now() + latency, track.cursor);
+        this.addSegment(track, start, samples, sampleRate);
+    }
+
+    /**
+     * The model was interrupted: its audio after this moment was flushed from playback and is cut from the recording
+     */
+    interruptModel() {
+        if (!this.isRecording) return;
+        const now = this.now();
+        const track = this.tracks.model;
+        track.segments = track.segments.filter((segment) => segment.start < now);
+        const last = track.segments[track.segments.length - 1];
+        if (last) {
+            const played = Math.ceil((now - last.start) * last.sampleRate);
+            last.samples = last.samples.subarray(0, Math.min(played, last.samples.length));
+        }
+        track.cursor = now;
+    }
+
+    /**
+     * @private
+     */
+    addSegment(track, start, samples, sampleRate) {
+        // Copy, the caller may reuse its buffer
+        track.segments.push({ start, samples: samples.slice(), sampleRate });
+        track.cursor = start + samples.length / sampleRate;
+    }
+
+    /**
+     * Renders a track onto a Float32 timeline, resampling segments with linear interpolation
+     * @param {Object} track - Track to render
+     * @param {number} sampleRate - Rate of the timeline
+     * @param {number} length - Length of the timeline in samples
+     * @returns {Float32Array} Rendered track
+     * @private
+     */
+    renderTrack(track, sampleRate, length) {
+        const output = new Float32Array(length);
+        track.segments.forEach(({ start, samples, sampleRate: segmentRate }) => {
+            const offset = Math.round(start * sampleRate);
+            const step = segmentRate / sampleRate;
+            const count = Math.floor(samples.length / step);
+            for (let i = 0; i < count && offset + i < length; i++) {
+                const position = i * step;
+                const index = Math.floor(position);
+                const next = Math.min(index + 1, samples.length - 1);
+                const frac = position - index;
+                output[offset + i] = (samples[index] + (samples[next] - samples[index]) * frac) / 32768;
+            }
+        });
+        return output;
+    }
+
+    /**
+     * Exports the conversation as a stereo WAV, user on the left and model on the right channel
+     * @returns {Blob} WAV file
+     */
+    toStereoWav() {
+        const length = Math.ceil(this.duration * EXPORT_SAMPLE_RATE);
+        const user = this.renderTrack(this.tracks.user, EXPORT_SAMPLE_RATE, length);
+        const model = this.renderTrack(this.tracks.model, EXPORT_SAMPLE_RATE, length);
+        return encodeWav([user, model], EXPORT_SAMPLE_RATE);
+    }
+
+    /**
+     * Exports each side as a mono WAV at its own rate, both starting at the start of the recording
+     * @returns {{user: Blob, model: Blob}} WAV files
+     */
+    toSeparateWavs() {
+        const render = (track, fallbackRate) => {
+            const sampleRate = track.segments[0]?.sampleRate || fallbackRate;
+            const length = Math.ceil(this.duration * sampleRate);
+            return encodeWav([this.renderTrack(track, sampleRate, length)], sampleRate);
+        };
+        return {
+            user: render(this.tracks.user, 16000),
+            model: render(this.tracks.model, EXPORT_SAMPLE_RATE)
+        };
+    }
+
+    /**
+     * Downloads the recording
+     * @param {'stereo'|'separate'} [format='stereo'] - One stereo file or one file per side
+     */
+    download(format = 'stereo') {
+        const name = `gemini-session-audio-${(this.startedAt || new Date()).toISOString().replace(/[:.]/g, '-')}`;
+        if (format === 'separate') {
+            const { user, model } = this.toSeparateWavs();
+            downloadBlob(user, `${name}-user.wav`);
+            downloadBlob(model, `${name}-model.wav`);
+        } else {
+            downloadBlob(this.toStereoWav(), `${name}.wav`);
+        }
+    }
+}
+
+/**
+ * Encodes channels of Float32 samples as a 16-bit PCM WAV file
+ * @param {Float32Array[]} channels - Channels of equal length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Blob} WAV file
+ */
+export function encodeWav(channels, sampleRate) {
+    const channelCount = channels.length;
+    const frames = channels[0].length;
+    const dataSize = frames * channelCount * 2;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);                            // fmt chunk size
+    view.setUint16(20, 1, true);                             // PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channelCount * 2, true); // byte rate
+    view.setUint16(32, channelCount * 2, true);              // block align
+    view.setUint16(34, 16, true);                            // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Interleave the channels
+    const samples = new Int16Array(buffer, 44);
+    for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channelCount; channel++) {
+            const value = Math.max(-1, Math.min(1, channels[channel][frame]));
+            samples[frame * channelCount + channel] = value < 0 ? value * 32768 : value * 32767;
+        }
+    }
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Starts a download of a blob
+ * @param {Blob} blob - File content
+ * @param {string} filename - Name of the downloaded file
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -1,10 +1,15 @@
 /**
  * AudioStreamer manages real-time audio playback from a stream of PCM audio chunks.
- * It implements a sophisticated buffering system to ensure smooth playback while
- * handling network jitter and maintaining low latency. The streamer uses Web Audio API
- * for precise timing and efficient audio scheduling.
+ * Chunks are written into a ring buffer that the 'audio-playback-worklet' reads on the audio thread,
+ * which resamples them to the context rate and absorbs network jitter with an adaptive jitter buffer.
+ * The ring is a SharedArrayBuffer when the page is cross-origin isolated, otherwise chunks are posted
+ * to the worklet. Nothing is scheduled on the main thread, so DOM work and canvas capture cannot cause glitches.
  */
-import { MODEL_SAMPLE_RATE } from '../config/config.js';
+import { DEFAULT_MODEL_SAMPLE_RATE, MODEL_SAMPLE_RATE_OVERRIDE } from '../config/config.js';
+import { setContextSink } from './devices.js';
+
+// Ring capacity in seconds of audio at 48 kHz, the model sends audio faster than real time
+const RING_CAPACITY_SECONDS = 60;
 
 export class AudioStreamer {
     /**
@@ -16,26 +21,60 @@ export class AudioStreamer {
             throw new Error('Invalid AudioContext provided', { context });
         }
         this.context = context;
-        this.audioQueue = [];                           // Queue of audio chunks waiting to be played
-        this.isPlaying = false;                         // Playback state
-        this._sampleRate = MODEL_SAMPLE_RATE;           // Use configured sample rate
-        this.bufferSize = Math.floor(this._sampleRate * 0.32);  // Buffer size (320ms based on sample rate)
-        this.processingBuffer = new Float32Array(0);    // Accumulator for incomplete chunks
-        this.scheduledTime = 0;                         // Next scheduled audio playback time
+        this.isPlaying = false;                         // Playback state, reported by the worklet
+        this.sampleRateOverride = MODEL_SAMPLE_RATE_OVERRIDE;  // Manual rate from settings, ignores the stream's rate
+        this._sampleRate = this.sampleRateOverride ?? DEFAULT_MODEL_SAMPLE_RATE;  // Rate of the current stream
         this.gainNode = this.context.createGain();      // Volume control node
         this.isStreamComplete = false;                  // Stream completion flag
-        this.checkInterval = null;                      // Interval for checking buffer state
-        this.initialBufferTime = 0.05;                  // Initial buffering delay (50ms)
         this.isInitialized = false;                     // Initialization state
-        this.endOfQueueAudioSource = null;              // Last audio source in queue
-        this.scheduledSources = new Set();              // Track active audio sources
-        
+        this.initPromise = null;                        // Pending initialize() call
+        this.playbackNode = null;                       // AudioWorkletNode playing the ring
+        this.pendingChunks = [];                        // Chunks received before the worklet was ready
+        this.outputDeviceId = '';                       // Preferred output device, '' for the system default
+
+        // Ring buffer, shared with the worklet when SharedArrayBuffer is usable
+        this.capacity = 48000 * RING_CAPACITY_SECONDS;
+        this.useSharedMemory = typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+        if (this.useSharedMemory) {
+            this.sharedData = new SharedArrayBuffer(this.capacity * Int16Array.BYTES_PER_ELEMENT);
+            this.sharedState = new SharedArrayBuffer(2 * Int32Array.BYTES_PER_ELEMENT);
+            this.ring = new Int16Array(this.sharedData);
+            this.ringState = new Int32Array(this.sharedState);
+        }
+
+        // Playback counters, updated from the worklet's reports (overruns also from shared writes)
+        this.stats = { underruns: 0, overruns: 0, bufferedMs: 0, targetMs: 0 };
+        this.sharedOverruns = 0;
+
         // Connect gain node to audio output
         this.gainNode.connect(this.context.destination);
-        console.info('AudioStreamer initialized', { sampleRate: this._sampleRate });
-        
+        console.info('AudioStreamer initialized', { sampleRate: this._sampleRate, sharedMemory: this.useSharedMemory });
+
         // Bind methods
         this.streamAudio = this.streamAudio.bind(this);
+        this.handleDeviceChange = this.handleDeviceChange.bind(this);
+    }
+
+    /**
+     * Routes playback to an output device via AudioContext.setSinkId() where supported
+     * The choice is re-applied when devices change, so playback returns to the device when it is plugged in again
+     * @param {string} deviceId - Output device id, empty for the system default
+     */
+    async setOutputDevice(deviceId) {
+        this.outputDeviceId = deviceId;
+        navigator.mediaDevices?.removeEventListener('devicechange', this.handleDeviceChange);
+        if (deviceId) {
+            navigator.mediaDevices?.addEventListener('devicechange', this.handleDeviceChange);
+        }
+        await setContextSink(this.context, deviceId);
+    }
+
+    /**
+     * @private
+     */
+    handleDeviceChange() {
+        setContextSink(this.context, this.outputDeviceId)
+            .catch((error) => console.error('Failed to update audio output after device change:', error));
     }
 
     /**
@@ -47,7 +86,7 @@ export class AudioStreamer {
     }
 
     /**
-     * Sets a new sample rate and adjusts buffer size accordingly
+     * Sets a new sample rate of the stream, the worklet resamples from it to the context rate
      * @param {number} value - New sample rate in Hz
      */
     set sampleRate(value) {
@@ -56,214 +95,200 @@ export class AudioStreamer {
             return;
         }
         this._sampleRate = value;
-        this.bufferSize = Math.floor(value * 0.32);  // 320ms buffer
-        console.info('Sample rate updated', { newRate: value, newBufferSize: this.bufferSize });
+        this.playbackNode?.port.postMessage({ type: 'rate', sampleRate: value });
+        console.info('Sample rate updated', { newRate: value });
     }
 
     /**
      * Processes incoming PCM16 audio chunks for playback
      * @param {Int16Array|Uint8Array} chunk - Raw PCM16 audio data
+     * @param {number|null} [sampleRate] - Sample rate from the chunk's mimeType, the current rate is kept if omitted
      */
-    streamAudio(chunk) {
-        // Skip audio playback if response mode is text-only
-        if (typeof responseMode !== 'undefined' && responseMode !== 'audio') {
-            return;
-        }
-
-        if (!this.isInitialized) {
-            console.warn('AudioStreamer not initialized. Call initialize() first.');
-            return;
-        }
-    
+    streamAudio(chunk, sampleRate = null) {
         if (!chunk || !(chunk instanceof Int16Array || chunk instanceof Uint8Array)) {
             console.warn('Invalid audio chunk provided', { chunkType: chunk ? chunk.constructor.name : 'null' });
             return;
         }
-    
-        try {
-            // Convert Int16 samples to Float32 format
-            const float32Array = new Float32Array(chunk.length / 2);
-            const dataView = new DataView(chunk.buffer);
 
-            for (let i = 0; i < chunk.length / 2; i++) {
-                const int16 = dataView.getInt16(i * 2, true);
-                float32Array[i] = int16 / 32768;  // Scale to [-1.0, 1.0] range
-            }
-
-            // Limit processing buffer size to prevent memory issues
-            if (this.processingBuffer.length > this.bufferSize * 4) {
-                console.warn('Processing buffer overflow, resetting', { 
-                    bufferSize: this.processingBuffer.length,
-                    maxSize: this.bufferSize * 4 
+        // Keep chunks that arrive while the worklet module is still loading
+        if (!this.isInitialized) {
+            this.pendingChunks.push({ chunk, sampleRate });
+            if (!this.initPromise) {
+                this.initialize().catch((error) => {
+                    console.error('Failed to initialize audio playback, dropping queued audio:', error);
+                    this.pendingChunks = [];
                 });
-                this.processingBuffer = new Float32Array(0);
             }
+            return;
+        }
 
-            // Accumulate samples in processing buffer
-            const newBuffer = new Float32Array(this.processingBuffer.length + float32Array.length);
-            newBuffer.set(this.processingBuffer);
-            newBuffer.set(float32Array, this.processingBuffer.length);
-            this.processingBuffer = newBuffer;
-
-            // Split processing buffer into playable chunks
-            while (this.processingBuffer.length >= this.bufferSize) {
-                const buffer = this.processingBuffer.slice(0, this.bufferSize);
-                this.audioQueue.push(buffer);
-                this.processingBuffer = this.processingBuffer.slice(this.bufferSize);
+        try {
+            // Follow the rate of the stream unless the user overrides it
+            const rate = this.sampleRateOverride ?? sampleRate ?? this._sampleRate;
+            if (rate !== this._sampleRate) {
+                this.sampleRate = rate;
             }
 
-            // Start playback if not already playing
-            if (!this.isPlaying) {
-                this.isPlaying = true;
-                this.scheduledTime = this.context.currentTime + this.initialBufferTime;
-                this.scheduleNextBuffer();
+            const samples = toInt16Samples(chunk);
+            if (this.useSharedMemory) {
+                if (this.isStreamComplete) {
+                    this.playbackNode.port.postMessage({ type: 'stream_start' });
+                }
+                this.writeShared(samples);
+            } else {
+                // Transfer a copy so the caller's buffer stays usable
+                const copy = samples.slice();
+                this.playbackNode.port.postMessage({ type: 'samples', samples: copy }, [copy.buffer]);
             }
+            this.isStreamComplete = false;
         } catch (error) {
             throw new Error('Error processing audio chunk:' + error);
         }
     }
 
     /**
-     * Creates an AudioBuffer from Float32 audio data
-     * @param {Float32Array} audioData - Audio samples to convert
-     * @returns {AudioBuffer} Web Audio API buffer for playback
+     * Writes samples into the shared ring and publishes the new write index
+     * Samples that do not fit are dropped and counted as an overrun
+     * @param {Int16Array} samples - Samples to write
      */
-    createAudioBuffer(audioData) {
-        const audioBuffer = this.context.createBuffer(1, audioData.length, this.sampleRate);
-        audioBuffer.getChannelData(0).set(audioData);
-        return audioBuffer;
+    writeShared(samples) {
+        const writeIndex = Atomics.load(this.ringState, 0);
+        const readIndex = Atomics.load(this.ringState, 1);
+        const free = this.capacity - 1 - (writeIndex - readIndex + this.capacity) % this.capacity;
+        const count = Math.min(free, samples.length);
+        if (count < samples.length) {
+            this.sharedOverruns++;
+            console.warn('Playback ring buffer overrun, dropping samples', { dropped: samples.length - count });
+        }
+
+        const firstPart = Math.min(count, this.capacity - writeIndex);
+        this.ring.set(samples.subarray(0, firstPart), writeIndex);
+        this.ring.set(samples.subarray(firstPart, count), 0);
+        Atomics.store(this.ringState, 0, (writeIndex + count) % this.capacity);
     }
 
     /**
-     * Schedules audio buffers for playback with precise timing
-     * Implements a look-ahead scheduler to ensure smooth playback
-     * Uses setTimeout for efficient CPU usage while maintaining timing accuracy
+     * Marks the end of the model's turn, the worklet plays out what is buffered without waiting for more
      */
-    scheduleNextBuffer() {
-        if (!this.isPlaying) return;  // Don't schedule if stopped
-
-        const SCHEDULE_AHEAD_TIME = 0.2;  // Look-ahead window in seconds
-
-        try {
-            // Schedule buffers within look-ahead window
-            while (this.audioQueue.length > 0 && this.scheduledTime < this.context.currentTime + SCHEDULE_AHEAD_TIME) {
-                const audioData = this.audioQueue.shift();
-                const audioBuffer = this.createAudioBuffer(audioData);
-                const source = this.context.createBufferSource();
-
-                // Track this source
-                this.scheduledSources.add(source);
-                source.onended = () => {
-                    this.scheduledSources.delete(source);
-                };
-
-                // Handle completion tracking for last buffer
-                if (this.audioQueue.length === 0) {
-                    if (this.endOfQueueAudioSource) {
-                        this.endOfQueueAudioSource.onended = null;
-                    }
-                    this.endOfQueueAudioSource = source;
-                    source.onended = () => {
-                        this.scheduledSources.delete(source);
-                        if (!this.audioQueue.length && this.endOfQueueAudioSource === source) {
-                            this.endOfQueueAudioSource = null;
-                        }
-                    };
-                }
-
-                source.buffer = audioBuffer;
-                source.connect(this.gainNode);
-
-                // Ensure accurate playback timing
-                const startTime = Math.max(this.scheduledTime, this.context.currentTime);
-                source.start(startTime);
-                this.scheduledTime = startTime + audioBuffer.duration;
-            }
-
-            // Handle buffer underrun or stream completion
-            if (this.audioQueue.length === 0 && this.processingBuffer.length === 0) {
-                if (this.isStreamComplete) {
-                    this.isPlaying = false;
-                    if (this.checkInterval) {
-                        clearInterval(this.checkInterval);
-                        this.checkInterval = null;
-                    }
-                } else if (!this.checkInterval) {
-                    // Start checking for new audio data
-                    this.checkInterval = window.setInterval(() => {
-                        if (this.audioQueue.length > 0 || this.processingBuffer.length >= this.bufferSize) {
-                            this.scheduleNextBuffer();
-                        }
-                    }, 100);
-                }
-            } else {
-                // Schedule next check based on audio timing
-                const nextCheckTime = (this.scheduledTime - this.context.currentTime) * 1000;
-                setTimeout(() => this.scheduleNextBuffer(), Math.max(0, nextCheckTime - 50));
-            }
-        } catch (error) {
-            throw new Error('Error scheduling next buffer:' + error);
-        }
+    markStreamComplete() {
+        this.isStreamComplete = true;
+        this.playbackNode?.port.postMessage({ type: 'complete' });
     }
 
     /**
-     * Stops audio playback and cleans up resources
-     * Implements smooth fade-out and resets audio pipeline
+     * Stops audio playback instantly by flushing everything that is buffered, e.g. when the model is interrupted
      */
     stop() {
         console.info('Stopping audio playback');
         this.isPlaying = false;
         this.isStreamComplete = true;
-        
-        // Stop all active audio sources
-        for (const source of this.scheduledSources) {
-            try {
-                source.stop();
-                source.disconnect();
-            } catch (error) {
-                console.debug('Error stopping audio source', { error: error });
-            }
-        }
-        this.scheduledSources.clear();
-        
-        this.audioQueue = [];
-        this.processingBuffer = new Float32Array(0);
-        this.scheduledTime = this.context.currentTime;
+        this.pendingChunks = [];
+        this.playbackNode?.port.postMessage({
+            type: 'flush',
+            writeIndex: this.useSharedMemory ? Atomics.load(this.ringState, 0) : undefined
+        });
+    }
 
-        // Clear buffer check interval
-        if (this.checkInterval) {
-            clearInterval(this.checkInterval);
-            this.checkInterval = null;
+    /**
+     * Handles state and counter reports of the playback worklet
+     * @param {Object} message - Report posted by the worklet
+     * @private
+     */
+    handleWorkletMessage(message) {
+        this.isPlaying = message.isPlaying;
+        this.stats = {
+            underruns: message.underruns,
+            overruns: message.overruns + this.sharedOverruns,
+            bufferedMs: message.bufferedMs,
+            targetMs: message.targetMs
+        };
+        if (message.type === 'underrun') {
+            console.warn('Audio playback underrun, jitter buffer raised', { targetMs: Math.round(message.targetMs), underruns: message.underruns });
         }
+    }
 
-        // Fade out audio to avoid clicks
-        try {
-            if (this.gainNode) {
-                this.gainNode.gain.linearRampToValueAtTime(0, this.context.currentTime + 0.1);
-            }
-        } catch (error) {
-            throw new Error('Error during fade-out:' + error);
+    /**
+     * Initializes the audio streamer
+     * Loads the playback worklet and ensures audio context is active before starting playback
+     * @returns {Promise<void>} Resolves when chunks can be played
+     */
+    initialize() {
+        if (!this.initPromise) {
+            this.initPromise = this.setupPlaybackNode().catch((error) => {
+                this.initPromise = null;
+                throw new Error('Failed to initialize AudioStreamer:' + error);
+            });
         }
+        return this.initPromise;
     }
 
     /**
-     * Initializes the audio streamer
-     * Ensures audio context is active before starting playback
-     * @returns {AudioStreamer} This instance for method chaining
+     * @private
      */
-    async initialize() {
-        try {
-            if (this.context.state === 'suspended') {
-                await this.context.resume();
+    async setupPlaybackNode() {
+        if (this.context.state === 'suspended') {
+            await this.context.resume();
+        }
+        await this.context.audioWorklet.addModule('js/audio/worklets/playback-processor.js');
+        // dispose() was called while the module loaded
+        if (!this.initPromise) return;
+
+        this.playbackNode = new AudioWorkletNode(this.context, 'audio-playback-worklet', {
+            numberOfInputs: 0,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            processorOptions: {
+                sampleRate: this._sampleRate,
+                capacity: this.capacity,
+                sharedData: this.sharedData,
+                sharedState: this.sharedState
             }
-            this.isStreamComplete = false;
-            this.scheduledTime = this.context.currentTime + this.initialBufferTime;
-            this.gainNode.gain.setValueAtTime(1, this.context.currentTime);
-            this.isInitialized = true;
+        });
+        this.playbackNode.port.onmessage = (event) => this.handleWorkletMessage(event.data);
+        this.playbackNode.connect(this.gainNode);
+        this.gainNode.gain.setValueAtTime(1, this.context.currentTime);
+        this.isInitialized = true;
+        console.info('AudioStreamer initialization complete');
 
-            console.info('AudioStreamer initialization complete');
-        } catch (error) {
-            throw new Error('Failed to initialize AudioStreamer:' + error);
+        const pending = this.pendingChunks;
+        const wasComplete = this.isStreamComplete;
+        this.pendingChunks = [];
+        pending.forEach(({ chunk, sampleRate }) => this.streamAudio(chunk, sampleRate));
+        // The turn may have ended before the worklet was ready
+        if (wasComplete && pending.length) {
+            this.markStreamComplete();
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Releases the playback worklet and disconnects all nodes
+     */
+    dispose() {
+        this.stop();
+        navigator.mediaDevices?.removeEventListener('devicechange', this.handleDeviceChange);
+        if (this.playbackNode) {
+            this.playbackNode.port.onmessage = null;
+            this.playbackNode.disconnect();
+            this.playbackNode = null;
+        }
+        this.gainNode.disconnect();
+        this.isInitialized = false;
+        this.initPromise = null;
+    }
+}
+
+/**
+ * Returns the samples of a little-endian PCM16 chunk as an Int16Array
+ * @param {Int16Array|Uint8Array} chunk - Raw PCM16 audio data
+ * @returns {Int16Array} Samples, a view on the chunk when its alignment allows it
+ */
+function toInt16Samples(chunk) {
+    if (chunk instanceof Int16Array) {
+        return chunk;
+    }
+    const length = chunk.byteLength >> 1;
+    if (chunk.byteOffset % 2 === 0) {
+        return new Int16Array(chunk.buffer, chunk.byteOffset, length);
+    }
+    return new Int16Array(chunk.slice(0, length * 2).buffer);
+}
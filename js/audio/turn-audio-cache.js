@@ -0,0 +1,96 @@
+/**
+ * TurnAudioCache keeps the PCM audio of each model turn in IndexedDB, so earlier answers
+ * can be played again from the chat without holding all of them in memory.
+ * The chat history is not persisted, so audio from earlier page loads is dropped when the cache opens.
+ */
+
+const DB_NAME = 'gemini-turn-audio';
+const STORE_NAME = 'turns';
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Result of the request
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class TurnAudioCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxTurns=100] - Number of turns kept, older ones are deleted
+     */
+    constructor({ maxTurns = 100 } = {}) {
+        this.maxTurns = maxTurns;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Opens the database once, clearing audio of previous page loads
+     * @returns {Promise<IDBDatabase>} Open database
+     * @private
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = (async () => {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('createdAt', 'createdAt');
+                };
+                const db = await promisify(request);
+                await promisify(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+                return db;
+            })().catch((error) => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Stores the audio of a turn
+     * @param {string} id - Turn id
+     * @param {Object} turn
+     * @param {Int16Array} turn.samples - PCM16 samples of the whole turn
+     * @param {number} turn.sampleRate - Sample rate of the samples
+     * @param {boolean} [turn.interrupted=false] - Whether the user interrupted the turn
+     */
+    async save(id, { samples, sampleRate, interrupted = false }) {
+        const db = await this.open();
+        const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await promisify(store.put({ id, sampleRate, interrupted, createdAt: Date.now(), pcm: samples.buffer }));
+        await this.prune(db);
+    }
+
+    /**
+     * Loads the audio of a turn
+     * @param {string} id - Turn id
+     * @returns {Promise<{samples: Int16Array, sampleRate: number, interrupted: boolean}|null>} Audio, or null if it is not cached
+     */
+    async load(id) {
+        const db = await this.open();
+        const record = await promisify(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(id));
+        if (!record) return null;
+        return { samples: new Int16Array(record.pcm), sampleRate: record.sampleRate, interrupted: record.interrupted };
+    }
+
+    /**
+     * Deletes the oldest turns beyond maxTurns
+     * @param {IDBDatabase} db - Open database
+     * @private
+     */
+    async prune(db) {
+        const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        const count = await promisify(store.count());
+        if (count <= this.maxTurns) return;
+
+        const keys = await promisify(store.index('createdAt').getAllKeys(null, count - this.maxTurns));
+        await Promise.all(keys.map((key) => promisify(store.delete(key))));
+    }
+}
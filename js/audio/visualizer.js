@@ -1,13 +1,48 @@
 /**
- * AudioVisualizer creates a waveform visualization
+ * AudioVisualizer draws the conversation's audio on a canvas
  * using Web Audio API's AnalyserNode to process audio data in real-time.
+ * The model's output feeds its own analyser, the microphone is read from the recorder's analyser
+ * and shown as a level meter with a clipping indicator. Colours follow who is speaking.
  */
+
+// Colours of each speaker state, from left to right
+const PALETTES = {
+    idle: ['#78909C', '#90A4AE', '#B0BEC5'],         // Grey while nobody speaks
+    user: ['#2196F3', '#64B5F6', '#90CAF9'],         // Blue while the user speaks
+    model: ['#4CAF50', '#81C784', '#A5D6A7'],        // Green while the model speaks
+    transmitting: ['#F44336', '#E57373', '#EF9A9A']  // Red while push-to-talk is held
+};
+
+// Input level meter range and clipping detection
+const METER_MIN_DB = -60;
+const METER_WIDTH = 6;
+const METER_RELEASE_DB = 0.75;    // dB the meter falls per frame
+const PEAK_HOLD_MS = 1000;
+const CLIP_THRESHOLD = 0.99;      // Sample magnitude counted as clipping
+const CLIP_HOLD_MS = 1500;
+
+// Frequency range shown by the bars and the orb, covers speech
+const MAX_FREQUENCY = 8000;
+const BAR_COUNT = 48;
+const ORB_POINTS = 64;
+
 export class AudioVisualizer {
-    constructor(audioContext, canvasId) {
+    /**
+     * @param {AudioContext} audioContext - Context of the audio sources connected with connectSource()
+     * @param {string} canvasId - Id of the canvas to draw on
+     * @param {Object} [options]
+     * @param {'waveform'|'bars'|'orb'} [options.mode='waveform'] - Render style
+     * @param {Function} [options.getSpeaker] - Returns 'user', 'model' or null, polled every frame
+     * @param {Function} [options.getInputAnalyser] - Returns the microphone's AnalyserNode, or null while the mic is off
+     */
+    constructor(audioContext, canvasId, { mode = 'waveform', getSpeaker = () => null, getInputAnalyser = () => null } = {}) {
         this.audioContext = audioContext;
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
-        
+        this.mode = mode;
+        this.getSpeaker = getSpeaker;
+        this.getInputAnalyser = getInputAnalyser;
+
         // Set up audio nodes
         this.analyser = this.audioContext.createAnalyser();
         this.analyser.fftSize = 1024; // Reduced for smoother animation
@@ -15,27 +50,37 @@ export class AudioVisualizer {
         this.bufferLength = this.analyser.frequencyBinCount;
         this.dataArray = new Uint8Array(this.bufferLength);
         this.prevDataArray = new Uint8Array(this.bufferLength);
-        
+        this.barHeights = new Float32Array(BAR_COUNT);
+
+        // Input level meter state
+        this.inputSamples = null;         // Float32Array sized to the input analyser
+        this.inputLevelDb = METER_MIN_DB; // Displayed RMS level
+        this.peakDb = METER_MIN_DB;       // Held peak level
+        this.peakTime = 0;
+        this.clipUntil = 0;
+
         // Visualization settings
-        this.gradientColors = ['#4CAF50', '#81C784', '#A5D6A7']; // Multiple green shades
+        this.speaker = 'idle';
+        this.isTransmitting = false;
+        this.gradientColors = PALETTES.idle;
         this.lineWidth = 4; // Thicker lines
         this.padding = 40; // Increased padding
         this.smoothingFactor = 0.4; // Value between 0 and 1 for interpolation
-        
+
         // Animation
         this.isAnimating = false;
         this.animationId = null;
-        
+
         // Bind methods
         this.draw = this.draw.bind(this);
         this.resize = this.resize.bind(this);
-        
+
         // Initial setup
         this.resize();
         window.addEventListener('resize', this.resize);
         this.createGradient();
     }
-    
+
     /**
      * Connects an audio node to the visualizer
      * @param {AudioNode} sourceNode - The audio node to visualize
@@ -43,7 +88,7 @@ export class AudioVisualizer {
     connectSource(sourceNode) {
         sourceNode.connect(this.analyser);
     }
-    
+
     /**
      * Starts the visualization animation
      */
@@ -53,7 +98,7 @@ export class AudioVisualizer {
             this.draw();
         }
     }
-    
+
     /**
      * Stops the visualization animation
      */
@@ -66,7 +111,28 @@ export class AudioVisualizer {
         // Clear the canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
-    
+
+    /**
+     * Switches the colours to show that push-to-talk is transmitting
+     * @param {boolean} transmitting - Whether the user is currently transmitting
+     */
+    setTransmitting(transmitting) {
+        this.isTransmitting = transmitting;
+        this.updateSpeaker();
+    }
+
+    /**
+     * Polls who is speaking and swaps the colours when it changed
+     * @private
+     */
+    updateSpeaker() {
+        const speaker = this.isTransmitting ? 'transmitting' : this.getSpeaker() || 'idle';
+        if (speaker === this.speaker) return;
+        this.speaker = speaker;
+        this.gradientColors = PALETTES[speaker];
+        this.createGradient();
+    }
+
     /**
      * Creates gradient for visualization
      */
@@ -76,7 +142,7 @@ export class AudioVisualizer {
             this.gradient.addColorStop(index / (this.gradientColors.length - 1), color);
         });
     }
-    
+
     /**
      * Handles canvas resize
      */
@@ -86,55 +152,86 @@ export class AudioVisualizer {
         this.canvas.height = container.offsetHeight;
         this.createGradient();
     }
-    
+
     /**
      * Interpolates between two values for smoother animation
      */
     lerp(start, end, amt) {
         return (1 - amt) * start + amt * end;
     }
-    
+
     /**
      * Draws the visualization frame
      */
     draw() {
         if (!this.isAnimating) return;
-        
-        // Store previous data and get new data
-        this.prevDataArray.set(this.dataArray);
-        this.analyser.getByteTimeDomainData(this.dataArray);
-        
+
+        const inputAnalyser = this.getInputAnalyser();
+        this.updateSpeaker();
+        this.updateInputLevel(inputAnalyser);
+
+        // Show the microphone while the user speaks, the model's output otherwise
+        const userSpeaking = this.speaker === 'user' || this.speaker === 'transmitting';
+        const analyser = userSpeaking && inputAnalyser ? inputAnalyser : this.analyser;
+
         // Clear the canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
+
         // Set up drawing style
         this.ctx.lineWidth = this.lineWidth;
         this.ctx.strokeStyle = this.gradient;
+        this.ctx.fillStyle = this.gradient;
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
-        
+
+        if (this.mode === 'bars') {
+            this.drawBars(analyser);
+        } else if (this.mode === 'orb') {
+            this.drawOrb(analyser);
+        } else {
+            this.drawWaveform(analyser);
+        }
+
+        if (inputAnalyser) {
+            this.drawLevelMeter();
+        }
+
+        // Request next frame
+        this.animationId = requestAnimationFrame(this.draw);
+    }
+
+    /**
+     * Draws the time-domain signal as a smooth line
+     * @param {AnalyserNode} analyser - Analyser to read
+     * @private
+     */
+    drawWaveform(analyser) {
+        // Store previous data and get new data
+        this.prevDataArray.set(this.dataArray);
+        analyser.getByteTimeDomainData(this.dataArray);
+
         // Calculate dimensions
         const width = this.canvas.width - (this.padding * 2);
         const height = this.canvas.height - (this.padding * 2);
         const centerY = this.canvas.height / 2;
-        
+
         // Draw the waveform
         const sliceWidth = width / (this.bufferLength - 1);
         let x = this.padding;
-        
+
         // Start the path
         this.ctx.beginPath();
         this.ctx.moveTo(x, centerY);
-        
+
         // Draw smooth curve
         for (let i = 0; i < this.bufferLength; i++) {
             // Interpolate between previous and current values
             const currentValue = this.dataArray[i] / 128.0;
             const prevValue = this.prevDataArray[i] / 128.0;
             const v = this.lerp(prevValue, currentValue, this.smoothingFactor);
-            
+
             const y = (v * height / 2) + centerY;
-            
+
             if (i === 0) {
                 this.ctx.moveTo(x, y);
             } else {
@@ -144,24 +241,175 @@ export class AudioVisualizer {
                 const cpX = (prevX + x) / 2;
                 this.ctx.quadraticCurveTo(cpX, prevY, x, y);
             }
-            
+
             x += sliceWidth;
         }
-        
+
+        this.strokeWithGlow();
+    }
+
+    /**
+     * Reads the frequency spectrum up to MAX_FREQUENCY into dataArray
+     * @param {AnalyserNode} analyser - Analyser to read
+     * @returns {number} Number of bins covering the shown range
+     * @private
+     */
+    readSpectrum(analyser) {
+        analyser.getByteFrequencyData(this.dataArray);
+        const nyquist = analyser.context.sampleRate / 2;
+        return Math.max(1, Math.min(this.bufferLength, Math.floor(this.bufferLength * MAX_FREQUENCY / nyquist)));
+    }
+
+    /**
+     * Draws frequency bars mirrored around the centre line
+     * @param {AnalyserNode} analyser - Analyser to read
+     * @private
+     */
+    drawBars(analyser) {
+        const bins = this.readSpectrum(analyser);
+        const width = this.canvas.width - (this.padding * 2);
+        const maxHeight = this.canvas.height - (this.padding * 2);
+        const centerY = this.canvas.height / 2;
+        const slot = width / BAR_COUNT;
+        const barWidth = Math.max(1, slot * 0.6);
+
+        for (let bar = 0; bar < BAR_COUNT; bar++) {
+            // Bars get wider in frequency towards the top, like the ear hears
+            const from = Math.floor(bins * (bar / BAR_COUNT) ** 2);
+            const to = Math.max(from + 1, Math.floor(bins * ((bar + 1) / BAR_COUNT) ** 2));
+            let sum = 0;
+            for (let i = from; i < to; i++) sum += this.dataArray[i];
+            const value = sum / (to - from) / 255;
+
+            this.barHeights[bar] = this.lerp(this.barHeights[bar], value, this.smoothingFactor);
+            const barHeight = Math.max(2, this.barHeights[bar] * maxHeight);
+            const x = this.padding + bar * slot + (slot - barWidth) / 2;
+            this.ctx.fillRect(x, centerY - barHeight / 2, barWidth, barHeight);
+        }
+    }
+
+    /**
+     * Draws a circle whose outline bulges with the spectrum
+     * @param {AnalyserNode} analyser - Analyser to read
+     * @private
+     */
+    drawOrb(analyser) {
+        const bins = this.readSpectrum(analyser);
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+        const radius = Math.max(4, Math.min(this.canvas.width, this.canvas.height) / 2 - this.padding);
+        const baseRadius = radius * 0.5;
+
+        this.ctx.beginPath();
+        for (let point = 0; point <= ORB_POINTS; point++) {
+            // Mirror the spectrum so both halves of the orb match
+            const half = point <= ORB_POINTS / 2 ? point : ORB_POINTS - point;
+            const bin = Math.min(bins - 1, Math.floor(bins * half / (ORB_POINTS / 2)));
+            const r = baseRadius + (this.dataArray[bin] / 255) * (radius - baseRadius);
+            const angle = (point / ORB_POINTS) * Math.PI * 2 - Math.PI / 2;
+            const x = centerX + Math.cos(angle) * r;
+            const y = centerY + Math.sin(angle) * r;
+            if (point === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        }
+        this.ctx.closePath();
+
+        this.ctx.globalAlpha = 0.2;
+        this.ctx.fill();
+        this.ctx.globalAlpha = 1;
+        this.strokeWithGlow();
+    }
+
+    /**
+     * Strokes the current path with a glow in the first gradient colour
+     * @private
+     */
+    strokeWithGlow() {
         // Add glow effect
         this.ctx.shadowBlur = 10;
         this.ctx.shadowColor = this.gradientColors[0];
-        
+
         // Stroke the path
         this.ctx.stroke();
-        
+
         // Reset shadow for next frame
         this.ctx.shadowBlur = 0;
-        
-        // Request next frame
-        this.animationId = requestAnimationFrame(this.draw);
     }
-    
+
+    /**
+     * Measures the microphone: RMS level with a slow release, held peak, and clipping
+     * @param {AnalyserNode|null} analyser - Microphone analyser, null while the mic is off
+     * @private
+     */
+    updateInputLevel(analyser) {
+        if (!analyser) {
+            this.inputLevelDb = METER_MIN_DB;
+            this.peakDb = METER_MIN_DB;
+            this.clipUntil = 0;
+            return;
+        }
+        if (this.inputSamples?.length !== analyser.fftSize) {
+            this.inputSamples = new Float32Array(analyser.fftSize);
+        }
+        analyser.getFloatTimeDomainData(this.inputSamples);
+
+        let sum = 0;
+        let peak = 0;
+        for (const sample of this.inputSamples) {
+            sum += sample * sample;
+            peak = Math.max(peak, Math.abs(sample));
+        }
+        const toDb = (value) => Math.max(METER_MIN_DB, 20 * Math.log10(value || 1e-8));
+        const rmsDb = toDb(Math.sqrt(sum / this.inputSamples.length));
+        const peakDb = toDb(peak);
+
+        const now = performance.now();
+        this.inputLevelDb = Math.max(rmsDb, this.inputLevelDb - METER_RELEASE_DB);
+        if (peakDb >= this.peakDb || now - this.peakTime > PEAK_HOLD_MS) {
+            this.peakDb = peakDb;
+            this.peakTime = now;
+        }
+        if (peak >= CLIP_THRESHOLD) {
+            this.clipUntil = now + CLIP_HOLD_MS;
+        }
+    }
+
+    /**
+     * Draws the microphone level meter at the right edge, red with a label while clipping
+     * @private
+     */
+    drawLevelMeter() {
+        const x = this.canvas.width - this.padding / 2 - METER_WIDTH / 2;
+        const top = this.padding;
+        const height = this.canvas.height - this.padding * 2;
+        if (height <= 0) return;
+        const toY = (db) => top + height * (db / METER_MIN_DB);
+        const isClipping = performance.now() < this.clipUntil;
+
+        // Track
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        this.ctx.fillRect(x, top, METER_WIDTH, height);
+
+        // Level: green, amber close to full scale, red when clipping
+        const levelY = toY(this.inputLevelDb);
+        this.ctx.fillStyle = isClipping ? '#F44336' : this.inputLevelDb > -6 ? '#FFC107' : '#4CAF50';
+        this.ctx.fillRect(x, levelY, METER_WIDTH, top + height - levelY);
+
+        // Held peak
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.fillRect(x, toY(this.peakDb) - 1, METER_WIDTH, 2);
+
+        if (isClipping) {
+            this.ctx.fillStyle = '#F44336';
+            this.ctx.font = 'bold 10px sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('CLIP', x + METER_WIDTH / 2, top - 6);
+        }
+    }
+
     /**
      * Clean up resources
      */
@@ -172,4 +420,4 @@ export class AudioVisualizer {
             this.analyser.disconnect();
         }
     }
-} 
\ No newline at end of file
+}
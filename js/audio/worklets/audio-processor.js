@@ -1,19 +1,142 @@
 /**
  * AudioProcessingWorklet handles real-time audio processing in a dedicated thread.
- * It converts incoming Float32 audio samples to Int16 format for efficient network transmission
+ * It resamples the microphone from the device's native rate to the target rate (16 kHz by default)
+ * and converts the Float32 samples to Int16 format for efficient network transmission
  * and processing by speech recognition systems.
+ * With voice activity detection (VAD) enabled only speech is forwarded: each render quantum is
+ * classified by its energy and zero-crossing rate, a pre-roll buffer keeps the audio just before
+ * the detected onset and a hangover keeps sending through short pauses.
  */
+
+// Consecutive speech time required before speech_start, filters out clicks and short noises
+const ONSET_MS = 30;
+
+/**
+ * Streaming windowed-sinc resampler with a precomputed polyphase filter table.
+ * When downsampling the low-pass cutoff is lowered below the output Nyquist frequency to prevent aliasing.
+ */
+class Resampler {
+    /**
+     * @param {number} inputRate - Sample rate of the input
+     * @param {number} outputRate - Sample rate of the output
+     * @param {Object} [options]
+     * @param {number} [options.zeroCrossings=16] - Zero crossings of the sinc on each side, higher is sharper and slower
+     * @param {number} [options.phases=256] - Number of fractional positions in the filter table
+     */
+    constructor(inputRate, outputRate, { zeroCrossings = 16, phases = 256 } = {}) {
+        this.ratio = inputRate / outputRate;
+        this.passthrough = inputRate === outputRate;
+        this.phases = phases;
+
+        // Cutoff in cycles per input sample, a little below the lower Nyquist frequency
+        const cutoff = 0.5 * Math.min(1, outputRate / inputRate) * 0.95;
+        this.halfWidth = Math.ceil(zeroCrossings / (2 * cutoff));
+        this.taps = 2 * this.halfWidth;
+
+        // Row p holds the weights for an output sample at fractional position p / phases after an input sample
+        this.table = new Float32Array((phases + 1) * this.taps);
+        for (let p = 0; p <= phases; p++) {
+            const frac = p / phases;
+            let sum = 0;
+            for (let j = 0; j < this.taps; j++) {
+                const distance = j - this.halfWidth + 1 - frac;
+                const x = 2 * cutoff * distance;
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+                // Blackman window over [-halfWidth, halfWidth]
+                const w = (distance + this.halfWidth) / (2 * this.halfWidth);
+                const window = w <= 0 || w >= 1 ? 0 : 0.42 - 0.5 * Math.cos(2 * Math.PI * w) + 0.08 * Math.cos(4 * Math.PI * w);
+                const weight = sinc * window;
+                this.table[p * this.taps + j] = weight;
+                sum += weight;
+            }
+            // Normalize to unity gain at DC
+            for (let j = 0; j < this.taps; j++) {
+                this.table[p * this.taps + j] /= sum;
+            }
+        }
+
+        // Input history, time is the input position of the next output sample relative to its start
+        this.history = new Float32Array(this.taps + 1024);
+        this.historyLength = this.halfWidth - 1; // Leading zeros so the first output is centered on the first input
+        this.time = this.halfWidth - 1;
+        this.output = new Float32Array(Math.ceil(1024 / this.ratio) + 2);
+    }
+
+    /**
+     * Resamples a block of input samples
+     * @param {Float32Array} input - Input samples, up to 1024 per call
+     * @returns {Float32Array} Output samples, valid until the next call
+     */
+    process(input) {
+        if (this.passthrough) return input;
+
+        this.history.set(input, this.historyLength);
+        this.historyLength += input.length;
+
+        let count = 0;
+        // An output sample needs halfWidth input samples after its position
+        while (this.time + this.halfWidth < this.historyLength) {
+            const index = Math.floor(this.time);
+            const phase = Math.round((this.time - index) * this.phases);
+            const row = phase * this.taps;
+            const start = index - this.halfWidth + 1;
+            let value = 0;
+            for (let j = 0; j < this.taps; j++) {
+                value += this.history[start + j] * this.table[row + j];
+            }
+            this.output[count++] = value;
+            this.time += this.ratio;
+        }
+
+        // Drop input samples no future output sample needs
+        const consumed = Math.floor(this.time) - this.halfWidth + 1;
+        if (consumed > 0) {
+            this.history.copyWithin(0, consumed, this.historyLength);
+            this.historyLength -= consumed;
+            this.time -= consumed;
+        }
+        return this.output.subarray(0, count);
+    }
+}
+
 class AudioProcessingWorklet extends AudioWorkletProcessor {
     /**
      * Initializes the audio processing worklet with a fixed-size buffer
      * Buffer size of 2048 samples provides a good balance between latency and processing efficiency
+     * @param {Object} options - AudioWorkletNode options
+     * @param {number} [options.processorOptions.targetSampleRate=16000] - Sample rate of the sent audio
+     * @param {Object} [options.processorOptions.vad] - VAD settings
+     * @param {boolean} [options.processorOptions.vad.enabled=false] - Forward only detected speech
+     * @param {number} [options.processorOptions.vad.threshold=-50] - Minimum level in dBFS to count as speech
+     * @param {number} [options.processorOptions.vad.zcrMax=0.4] - Maximum zero-crossing rate (0-1), higher rates are treated as noise
+     * @param {number} [options.processorOptions.vad.hangoverMs=800] - Silence after speech before speech_end
+     * @param {number} [options.processorOptions.vad.preRollMs=300] - Audio before the onset that is sent with speech_start
      */
-    constructor() {
+    constructor(options) {
         super();
         // Pre-allocate buffer for Int16 samples to avoid garbage collection
         this.buffer = new Int16Array(2048);
         this.bufferWriteIndex = 0;
-        this.sampleRate = 16000;
+        // Input arrives at the AudioContext rate (global in AudioWorkletGlobalScope), everything below works at the target rate
+        this.sampleRate = options?.processorOptions?.targetSampleRate || 16000;
+        this.resampler = new Resampler(sampleRate, this.sampleRate);
+
+        // Voice activity detection
+        const vad = options?.processorOptions?.vad || {};
+        this.vadEnabled = vad.enabled ?? false;
+        this.threshold = vad.threshold ?? -50;
+        this.zcrMax = vad.zcrMax ?? 0.4;
+        this.hangoverSamples = Math.round((vad.hangoverMs ?? 800) * this.sampleRate / 1000);
+        this.onsetSamples = Math.round(ONSET_MS * this.sampleRate / 1000);
+        this.isSpeaking = false;
+        this.speechSamples = 0;  // Consecutive speech samples while waiting for an onset
+        this.silentSamples = 0;  // Consecutive silent samples while speaking
+
+        // Ring buffer with the most recent audio while not speaking, always holds at least the onset
+        const preRollSamples = Math.round((vad.preRollMs ?? 300) * this.sampleRate / 1000);
+        this.preRoll = new Int16Array(Math.max(preRollSamples, this.onsetSamples + 128));
+        this.preRollWriteIndex = 0;
+        this.preRollLength = 0;
     }
 
     /**
@@ -24,8 +147,10 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
     process(inputs) {
         // Process only if we have audio data (first channel of first input)
         if (inputs[0].length) {
-            const channel0 = inputs[0][0];
-            this.processChunk(channel0);
+            const channel0 = this.resampler.process(inputs[0][0]);
+            if (channel0.length) {
+                this.processChunk(channel0);
+            }
         }
         return true;
     }
@@ -45,6 +170,37 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
         this.bufferWriteIndex = 0;
     }
 
+    /**
+     * Appends a sample to the send buffer, sending the buffer when it is full
+     * @param {number} int16Value - Sample in Int16 range
+     */
+    appendSample(int16Value) {
+        this.buffer[this.bufferWriteIndex++] = int16Value;
+        if (this.bufferWriteIndex >= this.buffer.length) {
+            this.sendAndClearBuffer();
+        }
+    }
+
+    /**
+     * Classifies a block of samples as speech: loud enough and not dominated by high-frequency noise
+     * @param {Float32Array} float32Array - Input audio samples
+     * @returns {boolean} True if the block likely contains speech
+     */
+    isSpeech(float32Array) {
+        let sumSquares = 0;
+        let zeroCrossings = 0;
+        for (let i = 0; i < float32Array.length; i++) {
+            sumSquares += float32Array[i] * float32Array[i];
+            if (i > 0 && (float32Array[i] >= 0) !== (float32Array[i - 1] >= 0)) {
+                zeroCrossings++;
+            }
+        }
+        const rms = Math.sqrt(sumSquares / float32Array.length);
+        const level = 20 * Math.log10(rms || 1e-10);
+        const zcr = zeroCrossings / float32Array.length;
+        return level >= this.threshold && zcr <= this.zcrMax;
+    }
+
     /**
      * Converts Float32 audio samples to Int16 format and accumulates them in the buffer
      * Float32 range [-1.0, 1.0] is mapped to Int16 range [-32768, 32767]
@@ -52,20 +208,39 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
      */
     processChunk(float32Array) {
         try {
-            for (let i = 0; i < float32Array.length; i++) {
-                // Convert Float32 to Int16 with proper rounding and clamping
-                const int16Value = Math.max(-32768, Math.min(32767, Math.floor(float32Array[i] * 32768)));
-                this.buffer[this.bufferWriteIndex++] = int16Value;
+            if (!this.vadEnabled) {
+                for (let i = 0; i < float32Array.length; i++) {
+                    this.appendSample(toInt16(float32Array[i]));
+                }
+                return;
+            }
 
-                // Send buffer when full to maintain continuous audio stream
-                if (this.bufferWriteIndex >= this.buffer.length) {
-                    this.sendAndClearBuffer();
+            const speech = this.isSpeech(float32Array);
+
+            if (!this.isSpeaking) {
+                this.writePreRoll(float32Array);
+                this.speechSamples = speech ? this.speechSamples + float32Array.length : 0;
+                if (this.speechSamples >= this.onsetSamples) {
+                    this.isSpeaking = true;
+                    this.silentSamples = 0;
+                    this.port.postMessage({ event: 'speech_start' });
+                    this.flushPreRoll();
                 }
+                return;
             }
 
-            // Handle any remaining samples in buffer
-            if (this.bufferWriteIndex >= this.buffer.length) {
-                this.sendAndClearBuffer();
+            for (let i = 0; i < float32Array.length; i++) {
+                this.appendSample(toInt16(float32Array[i]));
+            }
+
+            this.silentSamples = speech ? 0 : this.silentSamples + float32Array.length;
+            if (this.silentSamples >= this.hangoverSamples) {
+                this.isSpeaking = false;
+                this.speechSamples = 0;
+                if (this.bufferWriteIndex > 0) {
+                    this.sendAndClearBuffer();
+                }
+                this.port.postMessage({ event: 'speech_end' });
             }
         } catch (error) {
             // Forward processing errors to main thread for handling
@@ -78,7 +253,39 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
             });
         }
     }
+
+    /**
+     * Stores samples in the pre-roll ring buffer, overwriting the oldest ones
+     * @param {Float32Array} float32Array - Input audio samples in Float32 format
+     */
+    writePreRoll(float32Array) {
+        for (let i = 0; i < float32Array.length; i++) {
+            this.preRoll[this.preRollWriteIndex] = toInt16(float32Array[i]);
+            this.preRollWriteIndex = (this.preRollWriteIndex + 1) % this.preRoll.length;
+        }
+        this.preRollLength = Math.min(this.preRollLength + float32Array.length, this.preRoll.length);
+    }
+
+    /**
+     * Moves the pre-roll audio, oldest sample first, into the send buffer
+     */
+    flushPreRoll() {
+        const start = (this.preRollWriteIndex - this.preRollLength + this.preRoll.length) % this.preRoll.length;
+        for (let i = 0; i < this.preRollLength; i++) {
+            this.appendSample(this.preRoll[(start + i) % this.preRoll.length]);
+        }
+        this.preRollLength = 0;
+    }
+}
+
+/**
+ * Converts a Float32 sample to Int16 with rounding and clamping
+ * @param {number} sample - Sample in [-1.0, 1.0]
+ * @returns {number} Sample in [-32768, 32767]
+ */
+function toInt16(sample) {
+    return Math.max(-32768, Math.min(32767, Math.floor(sample * 32768)));
 }
 
 // Register the worklet processor with a unique name for reference in AudioWorkletNode
-registerProcessor('audio-recorder-worklet', AudioProcessingWorklet);
\ No newline at end of file
+registerProcessor('audio-recorder-worklet', AudioProcessingWorklet);
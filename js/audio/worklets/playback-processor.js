@@ -0,0 +1,252 @@
+/**
+ * PlaybackProcessor plays the model's PCM16 audio from a single-producer, single-consumer ring buffer.
+ * The main thread writes samples at the stream's rate, this processor resamples them to the
+ * AudioContext rate on the audio thread, so main-thread load can no longer cause glitches.
+ *
+ * The ring lives in a SharedArrayBuffer when the page is cross-origin isolated, the main thread then
+ * only advances the write index and this processor the read index. Otherwise samples arrive through
+ * the port and are copied into a local ring.
+ *
+ * An adaptive jitter buffer delays the start of playback until enough audio is buffered and grows
+ * after every underrun, shrinking again after a stretch of smooth playback.
+ */
+
+// Indices into the shared Int32Array state
+const WRITE_INDEX = 0;
+const READ_INDEX = 1;
+
+// Jitter buffer limits in milliseconds
+const MIN_TARGET_MS = 40;
+const MAX_TARGET_MS = 400;
+const INITIAL_TARGET_MS = 80;
+
+// Playback time without underruns after which the jitter buffer shrinks
+const STABLE_PLAYBACK_MS = 10000;
+
+// Interval of stats messages to the main thread
+const STATS_INTERVAL_MS = 250;
+
+// Length of the fade to silence after a flush, avoids a click
+const FADE_OUT_SAMPLES = 128;
+
+class PlaybackProcessor extends AudioWorkletProcessor {
+    /**
+     * @param {Object} options - AudioWorkletNode options
+     * @param {number} options.processorOptions.sampleRate - Sample rate of the stream
+     * @param {number} options.processorOptions.capacity - Ring capacity in samples
+     * @param {SharedArrayBuffer} [options.processorOptions.sharedData] - Ring samples (Int16), omitted in message mode
+     * @param {SharedArrayBuffer} [options.processorOptions.sharedState] - Ring indices (Int32), omitted in message mode
+     */
+    constructor(options) {
+        super();
+        const { sampleRate: streamRate, capacity, sharedData, sharedState } = options.processorOptions;
+
+        this.shared = Boolean(sharedData);
+        this.capacity = capacity;
+        this.data = this.shared ? new Int16Array(sharedData) : new Int16Array(capacity);
+        this.state = this.shared ? new Int32Array(sharedState) : new Int32Array(2);
+
+        this.streamRate = streamRate;
+        this.position = 0;              // Fractional read position between the sample at READ_INDEX and the next one
+        this.isPlaying = false;         // false while filling the jitter buffer
+        this.isStreamComplete = false;  // The model finished its turn, play out the rest without waiting
+        this.targetMs = INITIAL_TARGET_MS;
+        this.stablePlaybackFrames = 0;
+        this.lastSample = 0;
+        this.fadeOutRemaining = 0;
+
+        this.underruns = 0;
+        this.overruns = 0;
+        this.framesSinceStats = 0;
+
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    /**
+     * Handles control messages and, in message mode, samples from the main thread
+     * @param {Object} message - Message with a type field
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'samples':
+                this.isStreamComplete = false;
+                this.write(message.samples);
+                break;
+            case 'stream_start':
+                this.isStreamComplete = false;
+                break;
+            case 'complete':
+                this.isStreamComplete = true;
+                break;
+            case 'rate':
+                this.streamRate = message.sampleRate;
+                break;
+            case 'flush':
+                this.flush(message.writeIndex);
+                break;
+        }
+    }
+
+    /**
+     * Writes samples into the local ring, counting an overrun if they do not all fit
+     * @param {Int16Array} samples - Samples to write
+     */
+    write(samples) {
+        let writeIndex = this.state[WRITE_INDEX];
+        const count = Math.min(samples.length, this.capacity - 1 - this.available());
+        if (count < samples.length) {
+            this.overruns++;
+        }
+        for (let i = 0; i < count; i++) {
+            this.data[writeIndex] = samples[i];
+            writeIndex = (writeIndex + 1) % this.capacity;
+        }
+        this.state[WRITE_INDEX] = writeIndex;
+    }
+
+    /**
+     * Drops all buffered audio
+     * @param {number} [writeIndex] - Write index at the time of the flush, samples written later are kept
+     */
+    flush(writeIndex) {
+        const target = this.shared ? writeIndex : this.state[WRITE_INDEX];
+        if (this.shared) {
+            Atomics.store(this.state, READ_INDEX, target);
+        } else {
+            this.state[READ_INDEX] = target;
+        }
+        if (this.isPlaying) {
+            this.fadeOutRemaining = FADE_OUT_SAMPLES;
+        }
+        this.position = 0;
+        this.isPlaying = false;
+        this.isStreamComplete = false;
+        this.postStats('flushed');
+    }
+
+    /**
+     * @returns {number} Number of buffered samples
+     */
+    available() {
+        const writeIndex = this.shared ? Atomics.load(this.state, WRITE_INDEX) : this.state[WRITE_INDEX];
+        const readIndex = this.shared ? Atomics.load(this.state, READ_INDEX) : this.state[READ_INDEX];
+        return (writeIndex - readIndex + this.capacity) % this.capacity;
+    }
+
+    /**
+     * Fills the output with resampled audio from the ring
+     * @param {Array} inputs - Unused
+     * @param {Array<Float32Array[]>} outputs - Single mono output
+     * @returns {boolean} Always true to keep the processor alive
+     */
+    process(inputs, outputs) {
+        const output = outputs[0][0];
+        const frames = output.length;
+        const step = this.streamRate / sampleRate;
+        let available = this.available();
+
+        if (!this.isPlaying) {
+            const targetSamples = Math.round(this.targetMs * this.streamRate / 1000);
+            if (available > 1 && (available >= targetSamples || this.isStreamComplete)) {
+                this.isPlaying = true;
+                this.postStats('playing');
+            }
+        }
+
+        let frame = 0;
+        if (this.isPlaying) {
+            let readIndex = this.shared ? Atomics.load(this.state, READ_INDEX) : this.state[READ_INDEX];
+            for (; frame < frames; frame++) {
+                // Linear interpolation needs the current and the next sample
+                if (available < 2) break;
+                const current = this.data[readIndex] / 32768;
+                const next = this.data[(readIndex + 1) % this.capacity] / 32768;
+                output[frame] = current + (next - current) * this.position;
+
+                this.position += step;
+                const consumed = Math.floor(this.position);
+                this.position -= consumed;
+                readIndex = (readIndex + consumed) % this.capacity;
+                available -= consumed;
+            }
+            this.lastSample = frame > 0 ? output[frame - 1] : this.lastSample;
+            if (this.shared) {
+                Atomics.store(this.state, READ_INDEX, readIndex);
+            } else {
+                this.state[READ_INDEX] = readIndex;
+            }
+
+            if (frame < frames) {
+                this.handleStarvation();
+            } else {
+                this.adaptTarget(frames);
+            }
+        }
+
+        // Silence for the rest, fading from the last played sample after a flush or underrun
+        for (; frame < frames; frame++) {
+            if (this.fadeOutRemaining > 0) {
+                output[frame] = this.lastSample * (this.fadeOutRemaining / FADE_OUT_SAMPLES);
+                this.fadeOutRemaining--;
+            } else {
+                output[frame] = 0;
+            }
+        }
+
+        this.framesSinceStats += frames;
+        if (this.framesSinceStats >= STATS_INTERVAL_MS * sampleRate / 1000) {
+            this.postStats('stats');
+        }
+        return true;
+    }
+
+    /**
+     * Called when the ring ran empty while playing: either the turn is over or the network fell behind
+     */
+    handleStarvation() {
+        this.isPlaying = false;
+        this.position = 0;
+        this.fadeOutRemaining = FADE_OUT_SAMPLES;
+        this.stablePlaybackFrames = 0;
+
+        if (this.isStreamComplete) {
+            this.isStreamComplete = false;
+            this.postStats('drained');
+            return;
+        }
+
+        this.underruns++;
+        this.targetMs = Math.min(MAX_TARGET_MS, this.targetMs * 1.5);
+        this.postStats('underrun');
+    }
+
+    /**
+     * Shrinks the jitter buffer after a stretch of playback without underruns
+     * @param {number} frames - Frames played in this render quantum
+     */
+    adaptTarget(frames) {
+        this.stablePlaybackFrames += frames;
+        if (this.stablePlaybackFrames >= STABLE_PLAYBACK_MS * sampleRate / 1000) {
+            this.stablePlaybackFrames = 0;
+            this.targetMs = Math.max(MIN_TARGET_MS, this.targetMs * 0.9);
+        }
+    }
+
+    /**
+     * Reports playback state and counters to the main thread
+     * @param {'stats'|'playing'|'underrun'|'drained'|'flushed'} type - Reason for the report
+     */
+    postStats(type) {
+        this.framesSinceStats = 0;
+        this.port.postMessage({
+            type,
+            isPlaying: this.isPlaying,
+            bufferedMs: this.available() * 1000 / this.streamRate,
+            targetMs: this.targetMs,
+            underruns: this.underruns,
+            overruns: this.overruns
+        });
+    }
+}
+
+registerProcessor('audio-playback-worklet', PlaybackProcessor);
@@ -0,0 +1,159 @@
+/**
+ * Blurs camera frames on the capture canvas before they are encoded.
+ *
+ * - 'face': blurs detected faces. Uses the browser's FaceDetector (Shape Detection API); where it
+ *   is missing or fails, or finds no face in a frame, the whole frame is blurred. A face the
+ *   detector misses while it finds another one is still sent unblurred.
+ * - 'background': blurs everything but an ellipse around the person, placed on the detected face
+ *   when FaceDetector is available and in the middle of the frame otherwise.
+ *
+ * The blur is a downscale and smooth upscale, which works in every browser unlike ctx.filter.
+ */
+
+// Size of the blurred image relative to the frame, smaller is blurrier
+const BLUR_SCALE = 1 / 24;
+// Margin around a detected face, relative to its size
+const FACE_MARGIN = 0.35;
+
+export class CameraBlur {
+    /**
+     * @param {'face'|'background'} mode - What to blur
+     */
+    constructor(mode) {
+        this.mode = mode;
+        this.faceDetector = null;
+        if ('FaceDetector' in window) {
+            try {
+                this.faceDetector = new window.FaceDetector({ fastMode: true, maxDetectedFaces: 5 });
+            } catch (error) {
+                console.warn('FaceDetector is not available:', error);
+            }
+        }
+        this.blurCanvas = document.createElement('canvas');
+        this.blurCtx = this.blurCanvas.getContext('2d');
+        // Set on every apply(), shown by the redaction indicator
+        this.usesFallback = !this.faceDetector;
+        this.facesFound = false;
+    }
+
+    /**
+     * Text for the redaction indicator
+     * @returns {string} What is blurred
+     */
+    get description() {
+        if (this.mode === 'face') {
+            if (this.usesFallback) return 'Blurring whole frame (no face detection)';
+            return this.facesFound ? 'Blurring detected faces' : 'Blurring whole frame (no face found)';
+        }
+        return this.usesFallback ? 'Blurring background' : 'Blurring background around face';
+    }
+
+    /**
+     * Blurs the frame on the canvas in place
+     * @param {HTMLCanvasElement} canvas - Capture canvas holding the frame
+     * @param {CanvasRenderingContext2D} ctx - Its context
+     */
+    async apply(canvas, ctx) {
+        const faces = await this.detectFaces(canvas);
+        this.usesFallback = faces === null;
+        this.facesFound = Boolean(faces?.length);
+        this.renderBlurred(canvas);
+
+        ctx.save();
+        ctx.beginPath();
+        if (this.mode === 'face') {
+            // A frame without a detected face may still show one the detector missed
+            if (!faces?.length) {
+                ctx.rect(0, 0, canvas.width, canvas.height);
+            } else {
+                faces.forEach((face) => addEllipse(ctx, expand(face, FACE_MARGIN)));
+            }
+        } else {
+            // Everything outside of the person, drawn as the frame minus the ellipse (even-odd)
+            ctx.rect(0, 0, canvas.width, canvas.height);
+            const person = faces?.length
+                ? personAround(faces[0], canvas)
+                : { x: canvas.width * 0.2, y: canvas.height * 0.05, width: canvas.width * 0.6, height: canvas.height * 1.1 };
+            addEllipse(ctx, person);
+        }
+        // Overlapping faces must not cancel out, the background path needs the hole
+        ctx.clip(this.mode === 'face' ? 'nonzero' : 'evenodd');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(this.blurCanvas, 0, 0, canvas.width, canvas.height);
+        ctx.restore();
+    }
+
+    /**
+     * @param {HTMLCanvasElement} canvas - Frame to search
+     * @returns {Promise<Array<{x: number, y: number, width: number, height: number}>|null>} Face boxes, null if detection is unavailable
+     * @private
+     */
+    async detectFaces(canvas) {
+        if (!this.faceDetector) return null;
+        try {
+            const faces = await this.faceDetector.detect(canvas);
+            return faces.map((face) => face.boundingBox);
+        } catch (error) {
+            console.warn('Face detection failed, blurring the whole frame:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Draws a small copy of the frame, scaled back up it looks blurred
+     * @param {HTMLCanvasElement} canvas - Frame to blur
+     * @private
+     */
+    renderBlurred(canvas) {
+        const width = Math.max(1, Math.round(canvas.width * BLUR_SCALE));
+        const height = Math.max(1, Math.round(canvas.height * BLUR_SCALE));
+        if (this.blurCanvas.width !== width || this.blurCanvas.height !== height) {
+            this.blurCanvas.width = width;
+            this.blurCanvas.height = height;
+        }
+        this.blurCtx.imageSmoothingQuality = 'high';
+        this.blurCtx.drawImage(canvas, 0, 0, width, height);
+    }
+}
+
+/**
+ * @param {{x: number, y: number, width: number, height: number}} box - Rectangle
+ * @param {number} margin - Growth on each side relative to the size
+ * @returns {{x: number, y: number, width: number, height: number}} Larger rectangle with the same center
+ */
+function expand(box, margin) {
+    return {
+        x: box.x - box.width * margin,
+        y: box.y - box.height * margin,
+        width: box.width * (1 + 2 * margin),
+        height: box.height * (1 + 2 * margin)
+    };
+}
+
+/**
+ * Estimates head and shoulders from a face box
+ * @param {{x: number, y: number, width: number, height: number}} face - Face box
+ * @param {HTMLCanvasElement} canvas - Frame, the estimate reaches to its bottom
+ * @returns {{x: number, y: number, width: number, height: number}} Box around the person
+ */
+function personAround(face, canvas) {
+    const width = face.width * 3;
+    const top = face.y - face.height * 0.6;
+    return {
+        x: face.x + face.width / 2 - width / 2,
+        y: top,
+        width,
+        height: (canvas.height - top) * 1.3
+    };
+}
+
+/**
+ * Adds the ellipse inscribed in a box to the current path
+ * @param {CanvasRenderingContext2D} ctx - Context
+ * @param {{x: number, y: number, width: number, height: number}} box - Bounding box
+ */
+function addEllipse(ctx, { x, y, width, height }) {
+    ctx.moveTo(x + width, y + height / 2);
+    ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+}
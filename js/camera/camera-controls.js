@@ -0,0 +1,158 @@
+/**
+ * Camera picker and live track controls in the camera preview. Only the controls the current
+ * track exposes in MediaStreamTrack.getCapabilities() are shown.
+ */
+
+// Resolutions offered when the camera supports them, 'auto' leaves the choice to the browser
+export const RESOLUTIONS = [
+    { label: '480p', width: 640, height: 480 },
+    { label: '720p', width: 1280, height: 720 },
+    { label: '1080p', width: 1920, height: 1080 },
+    { label: '4K', width: 3840, height: 2160 }
+];
+
+/**
+ * Lists the available cameras.
+ * Labels are only exposed after the page was granted camera access, until then cameras get generic names.
+ * @returns {Promise<Array<{deviceId: string, label: string}>>} Video input devices
+ */
+export async function listCameras() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter((device) => device.kind === 'videoinput' && device.deviceId)
+        .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+}
+
+export class CameraControls {
+    /**
+     * @param {HTMLElement} container - Camera preview element
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onDeviceChange - Called with the deviceId of the chosen camera
+     * @param {Function} callbacks.onSettingsChange - Called with the changed settings, e.g. { zoom: 2 }
+     */
+    constructor(container, { onDeviceChange, onSettingsChange }) {
+        this.onDeviceChange = onDeviceChange;
+        this.onSettingsChange = onSettingsChange;
+
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.className = 'camera-controls-btn';
+        this.toggleButton.textContent = '⚙';
+        this.toggleButton.title = 'Camera settings';
+        this.toggleButton.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.panel.classList.toggle('open');
+        });
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'camera-controls';
+        // Keep clicks and drags on the controls from moving the preview
+        ['mousedown', 'touchstart', 'pointerdown'].forEach((type) => {
+            this.panel.addEventListener(type, (event) => event.stopPropagation());
+        });
+
+        container.appendChild(this.toggleButton);
+        container.appendChild(this.panel);
+    }
+
+    /**
+     * Rebuilds the controls for the current camera
+     * @param {Object} state
+     * @param {Array<{deviceId: string, label: string}>} state.cameras - Available cameras
+     * @param {string} state.deviceId - Camera in use
+     * @param {MediaTrackCapabilities} state.capabilities - Capabilities of its track
+     * @param {Object} state.settings - Saved settings of the camera, see CameraManager.getTrackSettings()
+     */
+    render({ cameras, deviceId, capabilities, settings }) {
+        this.panel.innerHTML = '';
+
+        if (cameras.length > 1) {
+            const select = this.addSelect('Camera', cameras.map(({ deviceId: value, label }) => ({ value, label })), deviceId);
+            select.addEventListener('change', () => this.onDeviceChange(select.value));
+        }
+
+        const resolutions = RESOLUTIONS.filter(({ width, height }) =>
+            !capabilities.width?.max || (width <= capabilities.width.max && height <= capabilities.height.max));
+        if (resolutions.length) {
+            const options = [{ value: 'auto', label: 'Auto' }, ...resolutions.map(({ label }) => ({ value: label, label }))];
+            const select = this.addSelect('Resolution', options, settings.resolution || 'auto');
+            select.addEventListener('change', () => this.onSettingsChange({ resolution: select.value }));
+        }
+
+        if (capabilities.zoom) {
+            const input = this.addRange('Zoom', capabilities.zoom, settings.zoom ?? capabilities.zoom.min);
+            input.addEventListener('input', () => this.onSettingsChange({ zoom: Number(input.value) }));
+        }
+
+        if (capabilities.focusMode?.length > 1) {
+            const select = this.addSelect('Focus', capabilities.focusMode.map((mode) => ({ value: mode, label: mode })), settings.focusMode || capabilities.focusMode[0]);
+            let distance = null;
+            if (capabilities.focusDistance && capabilities.focusMode.includes('manual')) {
+                distance = this.addRange('Focus distance', capabilities.focusDistance, settings.focusDistance ?? capabilities.focusDistance.min);
+                distance.disabled = select.value !== 'manual';
+                distance.addEventListener('input', () => this.onSettingsChange({ focusDistance: Number(distance.value) }));
+            }
+            select.addEventListener('change', () => {
+                if (distance) distance.disabled = select.value !== 'manual';
+                this.onSettingsChange({ focusMode: select.value });
+            });
+        }
+
+        // Some browsers report torch as true, others as the list of possible values
+        if (capabilities.torch === true || capabilities.torch?.includes?.(true)) {
+            const checkbox = this.addControl('Torch', 'input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(settings.torch);
+            checkbox.addEventListener('change', () => this.onSettingsChange({ torch: checkbox.checked }));
+        }
+
+        this.toggleButton.hidden = !this.panel.childElementCount;
+    }
+
+    /**
+     * @param {string} label - Label text
+     * @param {string} tagName - Element to create
+     * @returns {HTMLElement} The control, added to the panel with its label
+     * @private
+     */
+    addControl(label, tagName) {
+        const row = document.createElement('label');
+        row.className = 'camera-control';
+        row.textContent = label;
+        const control = document.createElement(tagName);
+        row.appendChild(control);
+        this.panel.appendChild(row);
+        return control;
+    }
+
+    /**
+     * @private
+     */
+    addSelect(label, options, value) {
+        const select = this.addControl(label, 'select');
+        options.forEach((option) => select.add(new Option(option.label, option.value)));
+        select.value = value;
+        return select;
+    }
+
+    /**
+     * @private
+     */
+    addRange(label, { min, max, step }, value) {
+        const input = this.addControl(label, 'input');
+        input.type = 'range';
+        input.min = min;
+        input.max = max;
+        input.step = step || (max - min) / 100;
+        input.value = value;
+        return input;
+    }
+
+    /**
+     * Removes the controls from the preview
+     */
+    dispose() {
+        this.toggleButton.remove();
+        this.panel.remove();
+    }
+}
@@ -1,4 +1,11 @@
 import { makeDraggableResizable } from '../utils/draggable-resizable.js';
+import { FrameFilter, applyEncoding } from '../utils/frame-capture.js';
+import { CameraBlur } from './camera-blur.js';
+import { CameraControls, RESOLUTIONS, listCameras } from './camera-controls.js';
+
+// Camera chosen in the preview, and resolution, zoom, focus and torch per camera deviceId
+const CAMERA_DEVICE_KEY = 'cameraDevice';
+const TRACK_SETTINGS_KEY = 'cameraTrackSettings';
 
 /**
  * Manages camera access, capture, and image processing
@@ -8,12 +15,16 @@ export class CameraManager {
      * @param {Object} config
      * @param {number} config.width - Target width for resizing captured images
      * @param {number} config.quality - JPEG quality (0-1)
+     * @param {Object} [config.changeDetection] - Skipping of unchanged frames, see getFrameChangeConfig()
+     * @param {string} [config.blur] - 'off', 'face' or 'background', see getCameraBlurMode()
      * @param {string} [config.facingMode] - Camera facing mode (optional, mobile-only)
      */
     constructor(config) {
         this.config = {
             width: config.width || 640,
             quality: config.quality || 0.8,
+            changeDetection: config.changeDetection || { enabled: false },
+            blur: config.blur || 'off',
             facingMode: config.facingMode // undefined by default for desktop compatibility
         };
         
@@ -24,7 +35,13 @@ export class CameraManager {
         this.isInitialized = false;
         this.aspectRatio = null;
         this.previewContainer = null;
+        this.frameFilter = null;    // Skips unchanged frames, its counters stay readable after dispose()
+        this.blur = null;
+        this.redactionIndicator = null;
         this.switchButton = null;
+        this.controls = null;
+        this.deviceId = null;
+        this.handleDeviceChange = () => this.renderControls();
     }
 
     /**
@@ -96,6 +113,10 @@ export class CameraManager {
             this.stream = await navigator.mediaDevices.getUserMedia(constraints);
             this.videoElement.srcObject = this.stream;
             await this.videoElement.play();
+            this.deviceId = this.getTrack().getSettings().deviceId || null;
+            if (this.deviceId) localStorage.setItem(CAMERA_DEVICE_KEY, this.deviceId);
+            await this.applyTrackSettings();
+            await this.renderControls();
         } catch (error) {
             console.error('Failed to switch camera:', error);
             // Revert to previous facing mode on error
@@ -141,6 +162,14 @@ export class CameraManager {
             }
         };
 
+        // --- Attempt 0: Camera chosen in the preview, at its saved resolution ---
+        const savedDeviceId = localStorage.getItem(CAMERA_DEVICE_KEY);
+        if (savedDeviceId) {
+            stream = await attemptConstraints({
+                video: { deviceId: { exact: savedDeviceId }, ...getResolutionConstraints(this.getTrackSettings(savedDeviceId)) }
+            });
+        }
+
         // --- Attempt 1: Preferred facing mode (if mobile) + Ideal Resolution ---
         let constraints = {
             video: {
@@ -151,7 +180,9 @@ export class CameraManager {
         if (isMobile && currentFacingMode) {
             constraints.video.facingMode = currentFacingMode;
         }
-        stream = await attemptConstraints(constraints);
+        if (!stream) {
+            stream = await attemptConstraints(constraints);
+        }
 
         // --- Attempt 2: Alternate facing mode (if mobile and Attempt 1 failed) ---
         if (!stream && isMobile) {
@@ -284,6 +315,9 @@ export class CameraManager {
             this.canvas.width = canvasWidth;
             this.canvas.height = canvasHeight;
             this.ctx = this.canvas.getContext('2d');
+            this.frameFilter = new FrameFilter(this.config.changeDetection, this.previewContainer);
+            this.setupBlur();
+            await this.setupControls();
 
             this.isInitialized = true;
             console.log('Camera initialized successfully.');
@@ -303,6 +337,144 @@ export class CameraManager {
         }
     }
 
+    /**
+     * @returns {MediaStreamTrack} Video track of the camera stream
+     * @private
+     */
+    getTrack() {
+        return this.stream.getVideoTracks()[0];
+    }
+
+    /**
+     * Applies the saved settings of the camera and adds the camera picker and track controls to the preview
+     * @private
+     */
+    async setupControls() {
+        this.deviceId = this.getTrack().getSettings().deviceId || null;
+        // Resolution changes and other cameras can change the aspect ratio
+        this.videoElement.addEventListener('resize', () => this.updateAspectRatio());
+        await this.applyTrackSettings();
+
+        if (this.previewContainer) {
+            this.controls = new CameraControls(this.previewContainer, {
+                onDeviceChange: (deviceId) => this.switchDevice(deviceId).catch((error) => console.error('Failed to reopen the camera:', error)),
+                onSettingsChange: (changes) => this.updateTrackSettings(changes)
+            });
+            await this.renderControls();
+            navigator.mediaDevices.addEventListener?.('devicechange', this.handleDeviceChange);
+        }
+    }
+
+    /**
+     * Updates the preview controls for the current camera and its capabilities
+     * @private
+     */
+    async renderControls() {
+        if (!this.controls || !this.stream) return;
+        const track = this.getTrack();
+        this.controls.render({
+            cameras: await listCameras(),
+            deviceId: this.deviceId,
+            capabilities: track.getCapabilities?.() || {},
+            settings: this.getTrackSettings(this.deviceId)
+        });
+    }
+
+    /**
+     * Switches to another camera and remembers the choice.
+     * The current camera keeps running until the new one is open, and stays in use if it fails to open.
+     * @param {string} deviceId - deviceId of the camera
+     */
+    async switchDevice(deviceId) {
+        if (!this.isInitialized || deviceId === this.deviceId) return;
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: { deviceId: { exact: deviceId }, ...getResolutionConstraints(this.getTrackSettings(deviceId)) }
+            });
+        } catch (error) {
+            console.error('Failed to switch camera:', error);
+            // Show the camera that is still in use in the picker again
+            await this.renderControls();
+            return;
+        }
+
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = stream;
+        this.deviceId = deviceId;
+        localStorage.setItem(CAMERA_DEVICE_KEY, deviceId);
+        this.videoElement.srcObject = this.stream;
+        await this.videoElement.play();
+        await this.applyTrackSettings();
+        await this.renderControls();
+        console.info('Camera switched to', this.getTrack().label);
+    }
+
+    /**
+     * @param {string|null} deviceId - deviceId of a camera
+     * @returns {{resolution?: string, zoom?: number, focusMode?: string, focusDistance?: number, torch?: boolean}} Saved settings
+     * @private
+     */
+    getTrackSettings(deviceId) {
+        const settings = JSON.parse(localStorage.getItem(TRACK_SETTINGS_KEY) || '{}');
+        return (deviceId && settings[deviceId]) || {};
+    }
+
+    /**
+     * Changes settings of the current camera, applies them to the track and saves them
+     * @param {Object} changes - Settings to change, see getTrackSettings()
+     */
+    async updateTrackSettings(changes) {
+        if (!this.deviceId) return;
+        const settings = JSON.parse(localStorage.getItem(TRACK_SETTINGS_KEY) || '{}');
+        settings[this.deviceId] = { ...settings[this.deviceId], ...changes };
+        localStorage.setItem(TRACK_SETTINGS_KEY, JSON.stringify(settings));
+        await this.applyTrackSettings();
+    }
+
+    /**
+     * Applies the saved settings of the current camera, skipping those the track does not support
+     * @private
+     */
+    async applyTrackSettings() {
+        const track = this.getTrack();
+        const capabilities = track.getCapabilities?.() || {};
+        const settings = this.getTrackSettings(this.deviceId);
+
+        const advanced = [];
+        if (capabilities.zoom && settings.zoom !== undefined) {
+            advanced.push({ zoom: settings.zoom });
+        }
+        if (capabilities.focusMode?.includes(settings.focusMode)) {
+            advanced.push({ focusMode: settings.focusMode });
+            if (settings.focusMode === 'manual' && capabilities.focusDistance && settings.focusDistance !== undefined) {
+                advanced.push({ focusDistance: settings.focusDistance });
+            }
+        }
+        if (capabilities.torch && settings.torch !== undefined) {
+            advanced.push({ torch: settings.torch });
+        }
+
+        try {
+            await track.applyConstraints({ ...getResolutionConstraints(settings), advanced });
+        } catch (error) {
+            console.warn('Failed to apply camera settings:', error);
+        }
+    }
+
+    /**
+     * Keeps the capture canvas at the aspect ratio of the video
+     * @private
+     */
+    updateAspectRatio() {
+        const { videoWidth, videoHeight } = this.videoElement || {};
+        if (!videoWidth || !videoHeight || !this.canvas) return;
+        this.aspectRatio = videoHeight / videoWidth;
+        this.canvas.height = Math.round(this.canvas.width * this.aspectRatio);
+        this.frameFilter?.reset();
+    }
+
     /**
      * Get current canvas dimensions
      * @returns {{width: number, height: number}}
@@ -317,9 +489,37 @@ export class CameraManager {
         };
     }
 
+    /**
+     * Sets up blurring of faces or the background and its indicator in the preview
+     * @private
+     */
+    setupBlur() {
+        const mode = this.config.blur;
+        this.blur = mode === 'face' || mode === 'background' ? new CameraBlur(mode) : null;
+        if (this.previewContainer && this.blur) {
+            this.redactionIndicator = document.createElement('div');
+            this.redactionIndicator.className = 'redaction-indicator active';
+            this.redactionIndicator.textContent = this.blur.description;
+            this.previewContainer.appendChild(this.redactionIndicator);
+        }
+    }
+
+    /**
+     * Changes the size and JPEG quality of the following frames, used by the adaptive capture controller
+     * @param {Object} encoding
+     * @param {number} encoding.width - Target width, the height follows the aspect ratio
+     * @param {number} encoding.quality - JPEG quality (0-1)
+     */
+    setEncoding(encoding) {
+        if (applyEncoding(this.config, encoding) && this.canvas && this.aspectRatio) {
+            this.canvas.width = encoding.width;
+            this.canvas.height = Math.round(encoding.width * this.aspectRatio);
+        }
+    }
+
     /**
      * Capture and process an image from the camera
-     * @returns {Promise<string>} Base64 encoded JPEG image
+     * @returns {Promise<string|null>} Base64 encoded JPEG image, null if the frame did not change
      */
     async capture() {
         if (!this.isInitialized) {
@@ -333,6 +533,16 @@ export class CameraManager {
             this.canvas.width,
             this.canvas.height
         );
+        // Blur before anything reads the pixels
+        if (this.blur) {
+            await this.blur.apply(this.canvas, this.ctx);
+            if (this.redactionIndicator) this.redactionIndicator.textContent = this.blur.description;
+        }
+
+        // Skip frames that look like the last sent one
+        if (!this.frameFilter.shouldSend(this.canvas)) {
+            return null;
+        }
 
         // Convert to base64 JPEG with specified quality
         return this.canvas.toDataURL('image/jpeg', this.config.quality).split(',')[1];
@@ -353,6 +563,12 @@ export class CameraManager {
         // For simplicity here, we assume it's acceptable for the listener to remain if dispose is called unexpectedly.
         // A more robust implementation would store and remove the listener.
 
+        if (this.controls) {
+            this.controls.dispose();
+            this.controls = null;
+            navigator.mediaDevices.removeEventListener?.('devicechange', this.handleDeviceChange);
+        }
+
         if (this.previewContainer) {
             // Remove elements added dynamically
             const closeBtn = this.previewContainer.querySelector('.preview-close-btn');
@@ -373,6 +589,9 @@ export class CameraManager {
         this.switchButton = null;
         this.canvas = null;
         this.ctx = null;
+        this.blur = null;
+        this.redactionIndicator = null;
+        this.deviceId = null;
         this.isInitialized = false;
         this.aspectRatio = null;
         this.config.facingMode = localStorage.getItem('facingMode') || ( /Mobi|Android|iPhone|iPad|iPod/i.test(navigator.userAgent) ? 'user' : undefined); // Reset facing mode preference
@@ -387,3 +606,12 @@ export class CameraManager {
          console.log('Camera disposed.');
     }
 }
+
+/**
+ * @param {{resolution?: string}} settings - Saved settings of a camera
+ * @returns {{width: {ideal: number}, height: {ideal: number}}} Size constraints, 1080p for 'auto' like the initial request
+ */
+function getResolutionConstraints(settings) {
+    const { width, height } = RESOLUTIONS.find(({ label }) => label === settings.resolution) || { width: 1920, height: 1080 };
+    return { width: { ideal: width }, height: { ideal: height } };
+}
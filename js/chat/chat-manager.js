@@ -1,9 +1,21 @@
+import { highlightCode } from './code-highlighter.js';
+
+// A transcript arriving this long after the model's turn ended starts a new user message
+const LATE_TRANSCRIPT_MS = 2000;
+
 export class ChatManager {
     constructor() {
         this.chatContainer = document.getElementById('chatHistory');
         this.currentStreamingMessage = null;
         this.lastUserMessageType = null; // 'text' or 'audio'
         this.currentTranscript = ''; // Add this to store accumulated transcript
+        this.lastModelMessage = null;
+        this.currentCitations = null; // Citations container of the last model message
+        this.currentTextSegment = null; // Element of the model message receiving streamed text
+        this.currentReplay = null; // { audio, button, url } of the turn audio that is playing
+        this.currentUserAudio = null; // Spoken user message receiving transcripts, see addUserAudioMessage()
+        this.userSpeechStarted = false; // The user started speaking again, the next transcript opens a new message
+        this.modelTurnEndedAt = 0; // Time the last model turn was finalized
     }
 
     addUserMessage(text) {
@@ -11,17 +23,150 @@ export class ChatManager {
         messageDiv.className = 'chat-message user-message';
         messageDiv.textContent = text;
         this.chatContainer.appendChild(messageDiv);
+        this.commitUserInterim();
         this.lastUserMessageType = 'text';
+        this.currentUserAudio = null;
         this.scrollToBottom();
     }
 
+    /**
+     * Adds a bubble for something the user said. It shows a placeholder until transcripts arrive
+     * through updateUserTranscript(), then the final segments followed by the greyed-out interim hypothesis.
+     * @returns {{element: HTMLElement, segments: Array<{text: string, timestamp: Date}>, startedAt: Date, updatedAt: Date}} The message
+     */
     addUserAudioMessage() {
+        this.commitUserInterim();
         const messageDiv = document.createElement('div');
-        messageDiv.className = 'chat-message user-message';
-        messageDiv.textContent = 'User sent audio';
+        messageDiv.className = 'chat-message user-message audio-message';
+
+        const startedAt = new Date();
+        const meta = this.createMessageMeta('You', startedAt);
+        const textElement = document.createElement('span');
+        textElement.className = 'message-text';
+        textElement.textContent = 'User sent audio';
+        const interimElement = document.createElement('span');
+        interimElement.className = 'message-interim';
+        messageDiv.append(meta, textElement, interimElement);
         this.chatContainer.appendChild(messageDiv);
+
+        this.currentUserAudio = {
+            element: messageDiv,
+            textElement,
+            interimElement,
+            timeElement: meta.querySelector('.message-time'),
+            segments: [],
+            startedAt,
+            updatedAt: startedAt
+        };
         this.lastUserMessageType = 'audio';
         this.scrollToBottom();
+        return this.currentUserAudio;
+    }
+
+    /**
+     * Called when the user starts speaking (VAD or push-to-talk): the next transcript opens a new
+     * message unless the current one has not been answered yet.
+     */
+    markUserSpeechStart() {
+        this.userSpeechStarted = true;
+    }
+
+    /**
+     * Shows a transcript of the user's speech in the current spoken user message.
+     * Final text is appended with its timestamp, an interim hypothesis replaces the previous one until its final arrives.
+     * @param {string} text - Transcript
+     * @param {Object} [options]
+     * @param {boolean} [options.interim=false] - Whether the text is a hypothesis that may still change
+     * @param {string} [options.separator=' '] - Inserted between final segments
+     */
+    updateUserTranscript(text, { interim = false, separator = ' ' } = {}) {
+        // Late finals of the previous utterance still belong to its message
+        const isNewUtterance = !this.currentUserAudio || (this.lastUserMessageType !== 'audio'
+            && (this.userSpeechStarted || Date.now() - this.modelTurnEndedAt > LATE_TRANSCRIPT_MS));
+        if (isNewUtterance) {
+            if (!text.trim()) return;
+            this.addUserAudioMessage();
+        }
+        this.userSpeechStarted = false;
+        this.renderUserTranscript(this.currentUserAudio, text, { interim, separator });
+        this.scrollToBottom();
+    }
+
+    /**
+     * @param {Object} message - Spoken user message, see addUserAudioMessage()
+     * @param {string} text - Transcript
+     * @param {{interim: boolean, separator: string}} options - See updateUserTranscript()
+     * @private
+     */
+    renderUserTranscript(message, text, { interim, separator }) {
+        const now = new Date();
+        if (interim) {
+            message.interimElement.textContent = (message.segments.length ? ' ' : '') + text;
+            if (!message.segments.length) message.textElement.textContent = '';
+        } else {
+            message.textElement.textContent = message.segments.length
+                ? message.textElement.textContent + separator + text
+                : text.trim();
+            message.segments.push({ text, timestamp: now });
+            message.interimElement.textContent = '';
+        }
+        message.updatedAt = now;
+        message.element.title = message.segments
+            .map((segment) => `${this.formatTime(segment.timestamp)} ${segment.text.trim()}`)
+            .join('\n');
+        message.timeElement.textContent = this.formatTimeRange(message.startedAt, now);
+    }
+
+    /**
+     * Keeps an interim hypothesis that was never finalized as text of its message,
+     * called before the next message starts.
+     * @private
+     */
+    commitUserInterim() {
+        const interim = this.currentUserAudio?.interimElement.textContent.trim();
+        if (interim) {
+            this.renderUserTranscript(this.currentUserAudio, interim, { interim: false, separator: ' ' });
+        }
+    }
+
+    /**
+     * Creates the speaker label and time shown at the top of spoken messages.
+     * @param {string} speaker - Label of the speaker
+     * @param {Date} time - Time of the message
+     * @returns {HTMLElement} The label row
+     * @private
+     */
+    createMessageMeta(speaker, time) {
+        const meta = document.createElement('div');
+        meta.className = 'message-meta';
+        const speakerElement = document.createElement('span');
+        speakerElement.className = 'message-speaker';
+        speakerElement.textContent = speaker;
+        const timeElement = document.createElement('time');
+        timeElement.className = 'message-time';
+        timeElement.dateTime = time.toISOString();
+        timeElement.textContent = this.formatTime(time);
+        meta.append(speakerElement, timeElement);
+        return meta;
+    }
+
+    /**
+     * @param {Date} time - Time to format
+     * @returns {string} Time of day with seconds in the user's locale
+     * @private
+     */
+    formatTime(time) {
+        return time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    /**
+     * @returns {string} Start time, followed by the end time if it differs
+     * @private
+     */
+    formatTimeRange(start, end) {
+        const from = this.formatTime(start);
+        const to = this.formatTime(end);
+        return from === to ? from : `${from} – ${to}`;
     }
 
     startModelMessage() {
@@ -39,16 +184,83 @@ export class ChatManager {
         messageDiv.className = 'chat-message model-message streaming';
         this.chatContainer.appendChild(messageDiv);
         this.currentStreamingMessage = messageDiv;
+        this.lastModelMessage = messageDiv;
+        this.currentCitations = null;
+        this.currentTextSegment = null;
         this.currentTranscript = ''; // Reset transcript when starting new message
         this.scrollToBottom();
     }
 
-    updateStreamingMessage(text) {
+    /**
+     * Appends text to the model message that is currently streaming.
+     * @param {string} text - New text
+     * @param {string} [separator=' '] - Inserted between the previous text and the new text
+     */
+    updateStreamingMessage(text, separator = ' ') {
+        if (!this.currentStreamingMessage) {
+            this.startModelMessage();
+        }
+        // Text after a code block continues in a new segment below it
+        if (!this.currentTextSegment) {
+            this.currentTextSegment = document.createElement('span');
+            this.currentTextSegment.className = 'message-text';
+            this.currentStreamingMessage.appendChild(this.currentTextSegment);
+            this.currentTranscript = '';
+        }
+        this.currentTranscript += separator + text; // Append new text to the transcript
+        this.currentTextSegment.textContent = this.currentTranscript;
+        this.scrollToBottom();
+    }
+
+    /**
+     * Renders code the model runs with the code execution tool as a collapsible, highlighted block.
+     * @param {{language: string, code: string}} executableCode - executableCode part of the model turn
+     */
+    addExecutableCode({ language = 'PYTHON', code = '' }) {
+        const label = language.charAt(0) + language.slice(1).toLowerCase();
+        const pre = document.createElement('pre');
+        pre.className = 'code-block-content';
+        const codeElement = document.createElement('code');
+        codeElement.innerHTML = highlightCode(code, language);
+        pre.appendChild(codeElement);
+        this.appendCodeBlock('code-block', `${label} code`, pre, false);
+    }
+
+    /**
+     * Renders the output of executed code below its code block.
+     * @param {{outcome: string, output: string}} result - codeExecutionResult part of the model turn
+     */
+    addCodeExecutionResult({ outcome = 'OUTCOME_OK', output = '' }) {
+        const failed = outcome !== 'OUTCOME_OK';
+        const pre = document.createElement('pre');
+        pre.className = 'code-block-content';
+        pre.textContent = output || '(no output)';
+        const summary = failed ? `Output (${outcome.replace('OUTCOME_', '').toLowerCase().replace(/_/g, ' ')})` : 'Output';
+        this.appendCodeBlock(failed ? 'code-result failed' : 'code-result', summary, pre, true);
+    }
+
+    /**
+     * Appends a collapsible block to the current model message.
+     * @param {string} className - Classes of the block
+     * @param {string} summary - Text of the always visible header
+     * @param {HTMLElement} content - Collapsible content
+     * @param {boolean} open - Whether the block starts expanded
+     * @private
+     */
+    appendCodeBlock(className, summary, content, open) {
         if (!this.currentStreamingMessage) {
             this.startModelMessage();
         }
-        this.currentTranscript += ' ' + text; // Append new text to the transcript
-        this.currentStreamingMessage.textContent = this.currentTranscript;
+
+        const details = document.createElement('details');
+        details.className = className;
+        details.open = open;
+        const summaryElement = document.createElement('summary');
+        summaryElement.textContent = summary;
+        details.append(summaryElement, content);
+
+        this.currentStreamingMessage.appendChild(details);
+        this.currentTextSegment = null;
         this.scrollToBottom();
     }
 
@@ -56,19 +268,215 @@ export class ChatManager {
         if (this.currentStreamingMessage) {
             this.currentStreamingMessage.classList.remove('streaming');
             this.currentStreamingMessage = null;
+            this.currentTextSegment = null;
             this.lastUserMessageType = null;
             this.currentTranscript = ''; // Reset transcript when finalizing
+            this.modelTurnEndedAt = Date.now();
         }
     }
 
+    /**
+     * Renders search grounding as citation chips under the current model message.
+     * Sources of several grounding updates within one answer are merged.
+     * @param {Object} metadata - groundingMetadata of the server content
+     */
+    addGrounding(metadata) {
+        const { webSearchQueries = [], groundingChunks = [], groundingSupports = [], searchEntryPoint } = metadata;
+        if (!this.lastModelMessage) {
+            this.startModelMessage();
+        }
+
+        if (!this.currentCitations) {
+            this.currentCitations = document.createElement('div');
+            this.currentCitations.className = 'citations';
+            this.lastModelMessage.after(this.currentCitations);
+        }
+        const container = this.currentCitations;
+
+        // Search suggestions as rendered by Google, isolated from the page styles
+        if (searchEntryPoint?.renderedContent && !container.querySelector('.search-entry-point')) {
+            const entryPoint = document.createElement('div');
+            entryPoint.className = 'search-entry-point';
+            entryPoint.attachShadow({ mode: 'open' }).innerHTML = searchEntryPoint.renderedContent;
+            container.prepend(entryPoint);
+        } else if (webSearchQueries.length && !searchEntryPoint && !container.querySelector('.citation-queries')) {
+            const queries = document.createElement('div');
+            queries.className = 'citation-queries';
+            queries.textContent = 'Searched: ' + webSearchQueries.join(', ');
+            container.appendChild(queries);
+        }
+
+        groundingChunks.forEach((chunk, index) => {
+            const source = chunk.web || chunk.retrievedContext;
+            if (!source?.uri || container.querySelector(`[data-uri="${CSS.escape(source.uri)}"]`)) return;
+
+            // Only web links are clickable, anything else (relative, malformed, javascript:) is shown as text
+            let url = null;
+            try {
+                url = new URL(source.uri);
+            } catch {
+                console.warn('Invalid grounding source URI:', source.uri);
+            }
+            const isLink = url?.protocol === 'http:' || url?.protocol === 'https:';
+
+            // Text segments of the answer this source supports, shown as tooltip
+            const supported = groundingSupports
+                .filter((support) => support.groundingChunkIndices?.includes(index))
+                .map((support) => support.segment?.text)
+                .filter(Boolean);
+
+            const chip = document.createElement(isLink ? 'a' : 'span');
+            chip.className = 'citation-chip';
+            chip.dataset.uri = source.uri;
+            if (isLink) {
+                chip.href = url.href;
+                chip.target = '_blank';
+                chip.rel = 'noopener noreferrer';
+            }
+            chip.textContent = `${container.querySelectorAll('.citation-chip').length + 1}. ${source.title || (isLink ? url.hostname : source.uri)}`;
+            chip.title = supported.length ? supported.join('\n\n') : source.uri;
+            container.appendChild(chip);
+        });
+
+        this.scrollToBottom();
+    }
+
+    /**
+     * Links the audio of a model turn to the current model message and adds replay controls,
+     * which stay disabled until markTurnAudioReady() is called for the turn.
+     * @param {string} id - Turn id
+     * @param {Object} options
+     * @param {function(string): Promise<Blob|null>} options.loadAudio - Loads the turn's audio as a playable file
+     * @param {string} [options.sinkId=''] - Output device for the replay, empty for the default
+     */
+    attachTurnAudio(id, { loadAudio, sinkId = '' }) {
+        if (!this.currentStreamingMessage) {
+            this.startModelMessage();
+        }
+        const message = this.currentStreamingMessage;
+        message.dataset.turnAudioId = id;
+
+        const controls = document.createElement('div');
+        controls.className = 'turn-audio-controls';
+
+        const playButton = document.createElement('button');
+        playButton.className = 'turn-audio-play';
+        playButton.disabled = true;
+        playButton.title = 'Audio is still being received';
+        playButton.innerHTML = '<span class="material-icons">play_arrow</span>';
+
+        const speedSelect = document.createElement('select');
+        speedSelect.className = 'turn-audio-speed';
+        speedSelect.title = 'Playback speed';
+        [0.75, 1, 1.25, 1.5, 2].forEach((speed) => speedSelect.add(new Option(`${speed}x`, speed)));
+        speedSelect.value = localStorage.getItem('replaySpeed') || '1';
+        speedSelect.addEventListener('change', () => {
+            localStorage.setItem('replaySpeed', speedSelect.value);
+            if (this.currentReplay?.button === playButton) {
+                this.currentReplay.audio.playbackRate = parseFloat(speedSelect.value);
+            }
+        });
+
+        playButton.addEventListener('click', () => this.toggleTurnAudio(id, playButton, speedSelect, loadAudio, sinkId));
+
+        controls.append(this.createMessageMeta('Gemini', new Date()), playButton, speedSelect);
+        message.prepend(controls);
+    }
+
+    /**
+     * Enables the replay controls of a turn once its audio is cached.
+     * @param {{id: string, durationMs: number, interrupted: boolean}} turn - Saved turn
+     */
+    markTurnAudioReady({ id, durationMs, interrupted }) {
+        const message = this.chatContainer.querySelector(`[data-turn-audio-id="${CSS.escape(id)}"]`);
+        const playButton = message?.querySelector('.turn-audio-play');
+        if (!playButton) return;
+        playButton.disabled = false;
+        playButton.title = `Play answer (${(durationMs / 1000).toFixed(1)}s${interrupted ? ', interrupted' : ''})`;
+    }
+
+    /**
+     * Plays or pauses the audio of a turn, stopping any other replay.
+     * The browser's time stretching keeps the pitch when the speed changes.
+     * @private
+     */
+    async toggleTurnAudio(id, playButton, speedSelect, loadAudio, sinkId) {
+        const setIcon = (button, icon) => {
+            button.querySelector('.material-icons').textContent = icon;
+        };
+
+        if (this.currentReplay?.button === playButton) {
+            const { audio } = this.currentReplay;
+            if (audio.paused) {
+                try {
+                    await audio.play();
+                    setIcon(playButton, 'pause');
+                } catch (error) {
+                    console.error('Error resuming turn audio:', error);
+                    this.stopTurnAudio();
+                }
+            } else {
+                audio.pause();
+                setIcon(playButton, 'play_arrow');
+            }
+            return;
+        }
+
+        this.stopTurnAudio();
+        try {
+            const blob = await loadAudio(id);
+            if (!blob) {
+                playButton.disabled = true;
+                playButton.title = 'Audio is no longer cached';
+                return;
+            }
+
+            const url = URL.createObjectURL(blob);
+            const audio = new Audio(url);
+            audio.preservesPitch = true;
+            audio.playbackRate = parseFloat(speedSelect.value);
+            if (sinkId && audio.setSinkId) {
+                await audio.setSinkId(sinkId).catch((error) => console.warn('Could not route replay to the selected speaker:', error));
+            }
+            audio.addEventListener('ended', () => {
+                setIcon(playButton, 'play_arrow');
+                this.stopTurnAudio();
+            });
+
+            this.currentReplay = { audio, button: playButton, url };
+            await audio.play();
+            setIcon(playButton, 'pause');
+        } catch (error) {
+            console.error('Error playing turn audio:', error);
+            this.stopTurnAudio();
+        }
+    }
+
+    /**
+     * Stops the replay of turn audio, if any.
+     */
+    stopTurnAudio() {
+        if (!this.currentReplay) return;
+        const { audio, button, url } = this.currentReplay;
+        this.currentReplay = null;
+        audio.pause();
+        URL.revokeObjectURL(url);
+        button.querySelector('.material-icons').textContent = 'play_arrow';
+    }
+
     scrollToBottom() {
         this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
     }
 
     clear() {
+        this.stopTurnAudio();
         this.chatContainer.innerHTML = '';
         this.currentStreamingMessage = null;
+        this.lastModelMessage = null;
+        this.currentCitations = null;
+        this.currentTextSegment = null;
         this.lastUserMessageType = null;
         this.currentTranscript = '';
+        this.currentUserAudio = null;
     }
 } 
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Minimal syntax highlighter for code the model runs with the code execution tool.
+ * The Live API only executes Python, other languages are rendered as escaped plain text.
+ */
+
+const PYTHON_KEYWORDS = [
+    'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+    'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'None',
+    'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'True', 'try', 'while', 'with', 'yield'
+];
+
+const PYTHON_BUILTINS = [
+    'abs', 'all', 'any', 'bool', 'dict', 'enumerate', 'filter', 'float', 'format', 'int', 'isinstance',
+    'len', 'list', 'map', 'max', 'min', 'open', 'print', 'range', 'round', 'set', 'sorted', 'str', 'sum',
+    'tuple', 'type', 'zip'
+];
+
+// One alternative per token class, in the order of the classes below
+const PYTHON_TOKENS = new RegExp([
+    /(#[^\n]*)/.source,
+    /("""[\s\S]*?"""|'''[\s\S]*?'''|[rbfu]?"(?:\\.|[^"\\\n])*"|[rbfu]?'(?:\\.|[^'\\\n])*')/.source,
+    /\b(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/.source,
+    `\\b(${PYTHON_KEYWORDS.join('|')})\\b`,
+    `\\b(${PYTHON_BUILTINS.join('|')})(?=\\()`
+].join('|'), 'g');
+
+const TOKEN_CLASSES = ['comment', 'string', 'number', 'keyword', 'builtin'];
+
+/**
+ * Escapes text for use in innerHTML.
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Highlights source code as HTML with `tok-*` classes for the token types.
+ * @param {string} code - Source code
+ * @param {string} [language='PYTHON'] - Language as reported by the API
+ * @returns {string} Escaped HTML
+ */
+export function highlightCode(code, language = 'PYTHON') {
+    if (language.toUpperCase() !== 'PYTHON') {
+        return escapeHtml(code);
+    }
+
+    let html = '';
+    let lastIndex = 0;
+    for (const match of code.matchAll(PYTHON_TOKENS)) {
+        html += escapeHtml(code.slice(lastIndex, match.index));
+        const groupIndex = match.slice(1).findIndex((group) => group !== undefined);
+        html += `<span class="tok-${TOKEN_CLASSES[groupIndex]}">${escapeHtml(match[0])}</span>`;
+        lastIndex = match.index + match[0].length;
+    }
+    return html + escapeHtml(code.slice(lastIndex));
+}
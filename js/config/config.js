@@ -1,4 +1,11 @@
 export const getWebsocketUrl = () => {
+    // A custom endpoint, e.g. the local mock server (ws://localhost:8765), needs no API key
+    const customUrl = localStorage.getItem('websocketUrl');
+    if (customUrl) {
+        console.log('[DEBUG] Using custom WebSocket URL:', customUrl);
+        return customUrl;
+    }
+
     let apiKey = null;
     try {
         apiKey = localStorage.getItem('apiKey');
@@ -17,8 +24,123 @@ export const getDeepgramApiKey = () => {
     return localStorage.getItem('deepgramApiKey') || '';
 };
 
+// Transcription of user and model speech: 'gemini' (native), 'deepgram', 'webspeech' (browser, user only), 'whisper' or 'none'
+export const getTranscriptionProvider = () => {
+    const provider = localStorage.getItem('transcriptionProvider');
+    if (['gemini', 'deepgram', 'webspeech', 'whisper', 'none'].includes(provider)) {
+        return provider;
+    }
+    // Keep using Deepgram for users who configured a key before the setting existed
+    return getDeepgramApiKey() ? 'deepgram' : 'gemini';
+};
+
+// Whether the user's speech is transcribed into the chat, the model's speech is always transcribed
+export const getTranscribeUsersSpeech = () => localStorage.getItem('transcribeUsersSpeech') === 'true';
+
+// Locally hosted Whisper-compatible server, http(s):// for an OpenAI-compatible endpoint or ws(s):// for streaming
+export const getWhisperConfig = () => ({
+    url: localStorage.getItem('whisperUrl') || '',
+    model: localStorage.getItem('whisperModel') || 'whisper-1'
+});
+
+// Reconnect policy for dropped Live API sessions (0 attempts disables reconnecting)
+export const getReconnectConfig = () => {
+    const maxRetries = parseInt(localStorage.getItem('reconnectAttempts'));
+    return {
+        enabled: maxRetries !== 0,
+        maxRetries: Number.isNaN(maxRetries) ? 5 : maxRetries,
+        initialDelay: 500,
+        maxDelay: 15000,
+        multiplier: 2,
+        jitter: 0.3
+    };
+};
+
+// Wire-level session recording: 'off', 'hashed' (media replaced by hashes) or 'full'
+export const getSessionRecordingMode = () => {
+    return localStorage.getItem('sessionRecording') || 'off';
+};
+
+// Export format of the session audio recording: 'stereo' (user left, model right) or 'separate' files
+export const getSessionAudioExportFormat = () => {
+    return localStorage.getItem('sessionAudioExport') === 'separate' ? 'separate' : 'stereo';
+};
+
+// Modality the model answers in: 'text' or 'audio'
+export const getResponseMode = () => {
+    return localStorage.getItem('responseMode') === 'audio' ? 'audio' : 'text';
+};
+
+// Microphone mode: 'continuous' (server detects turns) or 'push-to-talk'
+export const getMicMode = () => {
+    return localStorage.getItem('micMode') === 'push-to-talk' ? 'push-to-talk' : 'continuous';
+};
+
+// Client-side voice activity detection, only detected speech is sent to the model
+export const getVadConfig = () => {
+    const number = (key, fallback) => {
+        const value = parseFloat(localStorage.getItem(key));
+        return Number.isNaN(value) ? fallback : value;
+    };
+    return {
+        enabled: localStorage.getItem('vadEnabled') !== 'false',
+        threshold: number('vadThreshold', -50),     // dBFS
+        zcrMax: number('vadZcrMax', 0.4),           // zero crossings per sample
+        hangoverMs: number('vadHangover', 800),
+        preRollMs: number('vadPreRoll', 300)
+    };
+};
+
+// Style of the audio visualizer: 'waveform', 'bars' (frequency bars) or 'orb' (radial)
+export const getVisualizerMode = () => {
+    const mode = localStorage.getItem('visualizerMode');
+    return ['bars', 'orb'].includes(mode) ? mode : 'waveform';
+};
+
+// Skipping of camera and screen frames that did not change, a keyframe is still sent every keyframeIntervalMs
+export const getFrameChangeConfig = () => {
+    const seconds = parseFloat(localStorage.getItem('keyframeInterval'));
+    return {
+        enabled: localStorage.getItem('frameChangeDetection') !== 'false',
+        keyframeIntervalMs: (Number.isNaN(seconds) ? 10 : seconds) * 1000
+    };
+};
+
+// Blurring of camera frames before they are sent: 'off', 'face' or 'background'
+export const getCameraBlurMode = () => {
+    const mode = localStorage.getItem('cameraBlur');
+    return ['face', 'background'].includes(mode) ? mode : 'off';
+};
+
+// Frame rate, width and JPEG quality of camera and screen frames. The fps, resizeWidth and quality settings
+// are the maxima, with adaptive capture on they drop towards the minima while the connection is congested
+export const getAdaptiveCaptureConfig = () => {
+    const number = (key, fallback) => {
+        const value = parseFloat(localStorage.getItem(key));
+        return Number.isNaN(value) ? fallback : value;
+    };
+    const bounds = (minKey, maxKey, minFallback, maxFallback) => {
+        const max = number(maxKey, maxFallback);
+        return { min: Math.min(number(minKey, minFallback), max), max };
+    };
+    return {
+        enabled: localStorage.getItem('adaptiveCapture') !== 'false',
+        fps: bounds('minFps', 'fps', 1, 5),
+        width: bounds('minResizeWidth', 'resizeWidth', 320, 640),
+        quality: bounds('minQuality', 'quality', 0.2, 0.4)
+    };
+};
+
+// Audio devices, empty for the system default
+export const getAudioInputDeviceId = () => localStorage.getItem('audioInputDevice') || '';
+export const getAudioOutputDeviceId = () => localStorage.getItem('audioOutputDevice') || '';
+
 // Audio Configurations
-export const MODEL_SAMPLE_RATE = parseInt(localStorage.getItem('sampleRate')) || 27000;
+// Model audio is played at the rate in its mimeType, the sample rate setting only overrides it when set to manual
+export const DEFAULT_MODEL_SAMPLE_RATE = 24000;
+export const MODEL_SAMPLE_RATE_OVERRIDE = localStorage.getItem('sampleRateMode') === 'manual'
+    ? parseInt(localStorage.getItem('sampleRate')) || DEFAULT_MODEL_SAMPLE_RATE
+    : null;
 
 const thresholds = {
     0: "BLOCK_NONE",
@@ -33,7 +155,7 @@ export const getConfig = () => ({
         temperature: parseFloat(localStorage.getItem('temperature')) || 1.8,
         top_p: parseFloat(localStorage.getItem('top_p')) || 0.95,
         top_k: parseInt(localStorage.getItem('top_k')) || 65,
-        responseModalities: "text",
+        responseModalities: getResponseMode(),
         speechConfig: {
             voiceConfig: { 
                 prebuiltVoiceConfig: { 
@@ -47,9 +169,11 @@ export const getConfig = () => ({
             text: localStorage.getItem('systemInstructions') || "You are a helpful assistant"
         }]
     },
-    tools: {
-        functionDeclarations: [],
-    },
+    // Built-in tools of the API, function declarations of registered tools are added by GeminiAgent
+    tools: [
+        ...(localStorage.getItem('googleSearch') !== 'false' ? [{ googleSearch: {} }] : []),
+        ...(localStorage.getItem('codeExecution') === 'true' ? [{ codeExecution: {} }] : [])
+    ],
     safetySettings: [
         {
             "category": "HARM_CATEGORY_HARASSMENT",
@@ -4,6 +4,7 @@ const elements = {
     // Header buttons
     disconnectBtn: document.getElementById('disconnectBtn'),
     connectBtn: document.getElementById('connectBtn'),
+    recordSessionBtn: document.getElementById('recordSessionBtn'),
     responseToggleBtn: document.getElementById('responseToggleBtn'),
     themeToggleBtn: document.getElementById('themeToggleBtn'),
 
@@ -1,9 +1,10 @@
 import elements from './elements.js';
 import settingsManager from '../settings/settings-manager.js';
+import { getSessionAudioExportFormat } from '../config/config.js';
 
 let isCameraActive = false;
 let isScreenShareActive = false;
-let responseMode = 'text'; // Default response mode
+let responseMode = localStorage.getItem('responseMode') === 'audio' ? 'audio' : 'text'; // Persisted response mode
 let currentTheme = localStorage.getItem('theme') || 'dark'; // Default theme
 
 /**
@@ -62,19 +63,36 @@ const ensureAgentReady = async (agent) => {
 };
 
 /**
- * Toggles the response mode between 'text' and 'audio'
+ * Updates the response toggle button icon to the current response mode
  */
-const toggleResponseMode = () => {
-    responseMode = responseMode === 'text' ? 'audio' : 'text';
-    console.log(`Response mode set to: ${responseMode}`);
-
-    // Update toggle button icon dynamically
+const updateResponseModeIcon = () => {
     const iconSpan = elements.responseToggleBtn.querySelector('.material-icons');
     if (iconSpan) {
         iconSpan.innerText = responseMode === 'text' ? 'text_fields' : 'volume_up';
     }
+    elements.responseToggleBtn.title = responseMode === 'text' ? 'Responding with text' : 'Responding with audio';
+};
 
-    // Optionally, signal the agent or other components here if needed
+/**
+ * Toggles the response mode between 'text' and 'audio', persists it
+ * and lets the agent re-open the session with the new modality
+ * @param {GeminiAgent} agent - The main application agent instance
+ */
+const toggleResponseMode = async (agent) => {
+    responseMode = responseMode === 'text' ? 'audio' : 'text';
+    localStorage.setItem('responseMode', responseMode);
+    console.log(`Response mode set to: ${responseMode}`);
+    updateResponseModeIcon();
+
+    elements.responseToggleBtn.disabled = true;
+    try {
+        await agent.setResponseMode(responseMode);
+    } catch (error) {
+        console.error('Error switching response mode:', error);
+        showConnectButton();
+    } finally {
+        elements.responseToggleBtn.disabled = false;
+    }
 };
 
 /**
@@ -87,13 +105,75 @@ const toggleTheme = () => {
     // TODO: Update theme toggle button icon
 };
 
+/**
+ * Sets up push-to-talk: audio is transmitted while the mic button or the space bar is held
+ * @param {GeminiAgent} agent - The main application agent instance
+ */
+const setupPushToTalk = (agent) => {
+    elements.micBtn.title = 'Hold to talk (or hold Space)';
+
+    let isPressed = false;
+
+    const start = async () => {
+        isPressed = true;
+        try {
+            await ensureAgentReady(agent);
+            // Connecting may take longer than a short press
+            if (!isPressed) return;
+            await agent.startTransmitting();
+        } catch (error) {
+            console.error('Error starting push-to-talk:', error);
+        }
+    };
+
+    const stop = async () => {
+        isPressed = false;
+        try {
+            await agent.stopTransmitting();
+        } catch (error) {
+            console.error('Error stopping push-to-talk:', error);
+        }
+    };
+
+    elements.micBtn.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        elements.micBtn.setPointerCapture(event.pointerId);
+        start();
+    });
+    ['pointerup', 'pointercancel', 'lostpointercapture'].forEach((type) => {
+        elements.micBtn.addEventListener(type, stop);
+    });
+
+    // Space bar works anywhere except while typing
+    const isTyping = (target) => target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+    document.addEventListener('keydown', (event) => {
+        if (event.code !== 'Space' || isTyping(event.target)) return;
+        event.preventDefault();
+        if (!event.repeat) start();
+    });
+    document.addEventListener('keyup', (event) => {
+        if (event.code !== 'Space' || isTyping(event.target)) return;
+        event.preventDefault();
+        stop();
+    });
+    // Releasing the key in another window would otherwise leave the mic transmitting
+    window.addEventListener('blur', stop);
+
+    agent.on('transmitting', (transmitting) => {
+        elements.micBtn.classList.toggle('transmitting', transmitting);
+        elements.visualizerCanvas.classList.toggle('transmitting', transmitting);
+    });
+};
+
 /**
  * Sets up event listeners for the application's UI elements
  * @param {GeminiAgent} agent - The main application agent instance
  */
 export function setupEventListeners(agent) {
-    // Apply initial theme
+    // Apply initial theme and response mode
     document.documentElement.setAttribute('data-theme', currentTheme);
+    updateResponseModeIcon();
 
     // Header Buttons
     elements.disconnectBtn.addEventListener('click', async () => {
@@ -116,20 +196,37 @@ export function setupEventListeners(agent) {
         }
     });
 
-    elements.responseToggleBtn.addEventListener('click', toggleResponseMode);
-    elements.themeToggleBtn.addEventListener('click', toggleTheme);
+    elements.responseToggleBtn.addEventListener('click', () => toggleResponseMode(agent));
 
-    // Control Row Buttons
-    elements.micBtn.addEventListener('click', async () => {
-        try {
-            await ensureAgentReady(agent);
-            await agent.toggleMic();
-            elements.micBtn.classList.toggle('active');
-        } catch (error) {
-            console.error('Error toggling microphone:', error);
-            elements.micBtn.classList.remove('active');
+    // Session audio recording, downloaded as WAV when stopped
+    elements.recordSessionBtn.addEventListener('click', () => {
+        if (agent.sessionAudioRecorder.isRecording) {
+            agent.stopSessionAudioRecording(getSessionAudioExportFormat());
+        } else {
+            agent.startSessionAudioRecording();
         }
     });
+    agent.on('session_audio_recording', (isRecording) => {
+        elements.recordSessionBtn.classList.toggle('recording', isRecording);
+        elements.recordSessionBtn.title = isRecording ? 'Stop recording and download session audio' : 'Record session audio';
+    });
+    elements.themeToggleBtn.addEventListener('click', toggleTheme);
+
+    // Control Row Buttons
+    if (agent.micMode === 'push-to-talk') {
+        setupPushToTalk(agent);
+    } else {
+        elements.micBtn.addEventListener('click', async () => {
+            try {
+                await ensureAgentReady(agent);
+                await agent.toggleMic();
+                elements.micBtn.classList.toggle('active');
+            } catch (error) {
+                console.error('Error toggling microphone:', error);
+                elements.micBtn.classList.remove('active');
+            }
+        });
+    }
 
     elements.cameraBtn.addEventListener('click', async () => {
         try {
@@ -149,6 +246,32 @@ export function setupEventListeners(agent) {
         }
     });
 
+    // Connection state changes caused by automatic reconnects
+    agent.on('reconnecting', ({ attempt, maxRetries }) => {
+        elements.disconnectBtn.classList.add('reconnecting');
+        elements.disconnectBtn.title = `Reconnecting (${attempt}/${maxRetries})...`;
+    });
+
+    agent.on('reconnected', () => {
+        elements.disconnectBtn.classList.remove('reconnecting');
+        elements.disconnectBtn.title = '';
+    });
+
+    agent.on('disconnected', () => {
+        elements.disconnectBtn.classList.remove('reconnecting');
+        elements.disconnectBtn.title = '';
+        showConnectButton();
+    });
+
+    // The recorder moved to another microphone, e.g. a headset was plugged in or removed
+    agent.on('audio_input_changed', (device) => {
+        const label = device?.label || 'Unnamed microphone';
+        const baseTitle = elements.micBtn.title.replace(/\n?Microphone: .*$/, '');
+        elements.micBtn.title = (baseTitle ? baseTitle + '\n' : '') + `Microphone: ${label}`;
+        settingsManager.showActiveAudioInput(device);
+        console.info('Microphone in use:', label);
+    });
+
     agent.on('screenshare_stopped', () => {
         elements.screenBtn.classList.remove('active');
         isScreenShareActive = false;
@@ -175,6 +298,23 @@ export function setupEventListeners(agent) {
 
     elements.settingsBtn.addEventListener('click', () => settingsManager.show());
 
+    // Session traffic recording and replay
+    settingsManager.elements.downloadSessionLogBtn.addEventListener('click', () => agent.downloadSessionLog());
+
+    settingsManager.elements.replaySessionLogInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            settingsManager.hide();
+            showConnectButton();
+            await agent.replaySession(await file.text());
+        } catch (error) {
+            console.error('Error replaying session log:', error);
+        } finally {
+            event.target.value = '';
+        }
+    });
+
     // Message Sending
     const sendMessage = async () => {
         try {
@@ -4,17 +4,24 @@
  * and coordinates the overall application functionality.
  */
 import { GeminiWebsocketClient } from '../ws/client.js';
+import { SessionRecorder, SessionReplayer } from '../ws/session-recorder.js';
 
 import { AudioRecorder } from '../audio/recorder.js';
 import { AudioStreamer } from '../audio/streamer.js';
+import { SessionAudioRecorder, encodeWav } from '../audio/session-audio-recorder.js';
+import { TurnAudioCache } from '../audio/turn-audio-cache.js';
 import { AudioVisualizer } from '../audio/visualizer.js';
 
 import { DeepgramTranscriber } from '../transcribe/deepgram.js';
+import { WebSpeechTranscriber } from '../transcribe/web-speech.js';
+import { WhisperTranscriber } from '../transcribe/whisper.js';
 
 import { CameraManager } from '../camera/camera.js';
 import { ScreenManager } from '../screen/screen.js';
 
 import { EventEmitter } from '../utils/event-emitter.js';
+import { AdaptiveCaptureController } from '../utils/adaptive-capture.js';
+import { base64ToArrayBuffer } from '../utils/utils.js';
 
 export class GeminiAgent extends EventEmitter {
     constructor({
@@ -22,9 +29,22 @@ export class GeminiAgent extends EventEmitter {
         url,
         config,
         deepgramApiKey = null,
+        transcriptionProvider = 'deepgram',
+        whisper = {},
         transcribeModelsSpeech = true,
         transcribeUsersSpeech = false,
         modelSampleRate = 24000,
+        reconnect = {},
+        sessionRecording = 'off',
+        responseMode = 'text',
+        micMode = 'continuous',
+        visualizerMode = 'waveform',
+        vad = { enabled: false },
+        audioInputDeviceId = '',
+        audioOutputDeviceId = '',
+        frameChangeDetection = { enabled: false },
+        cameraBlur = 'off',
+        adaptiveCapture = { enabled: false, fps: { min: 5, max: 5 }, width: { min: 640, max: 640 }, quality: { min: 0.4, max: 0.4 } },
         toolManager = null
     } = {}) {
         super();
@@ -40,50 +60,102 @@ export class GeminiAgent extends EventEmitter {
         this.audioRecorder = null;
         this.audioStreamer = null;
         
-        // For transcribers
+        // For transcribers: 'gemini' uses the Live API's own transcription, the others a Transcriber adapter
+        this.transcriptionProvider = transcriptionProvider;
+        this.whisper = whisper;
         this.transcribeModelsSpeech = transcribeModelsSpeech;
         this.transcribeUsersSpeech = transcribeUsersSpeech;
         this.deepgramApiKey = deepgramApiKey;
+        // Fallback rate of model audio whose mimeType has none
         this.modelSampleRate = modelSampleRate;
+        // The model transcriber is created for the rate of the first model audio, see transcribeModelAudio()
+        this.modelTranscriber = null;
+        this.modelTranscriberRate = null;
+        this.modelTranscriberQueue = null;  // Audio received while it connects, null once connected
 
-        // Initialize screen & camera settings
-        this.fps = localStorage.getItem('fps') || '5';
-        this.captureInterval = 1000 / this.fps;
-        this.resizeWidth = localStorage.getItem('resizeWidth') || '640';
-        this.quality = localStorage.getItem('quality') || '0.4';
+        // 'text' or 'audio', in text mode the audio output pipeline is not set up at all
+        this.responseMode = responseMode;
+
+        // In push-to-talk mode audio is only sent while transmitting, framed by activityStart/activityEnd
+        this.micMode = micMode;
+        this.isTransmitting = false;
+        this.transmissionStart = null;  // Pending startTransmitting(), until activityStart was sent
+
+        // Client-side voice activity detection, not used with push-to-talk where the user marks speech
+        this.vad = micMode === 'push-to-talk' ? { ...vad, enabled: false } : vad;
+
+        // Style of the audio visualizer, see getVisualizerMode()
+        this.visualizerMode = visualizerMode;
+        this.visualizer = null;
+
+        // Preferred microphone and speaker, empty for the system default
+        this.audioInputDeviceId = audioInputDeviceId;
+        this.audioOutputDeviceId = audioOutputDeviceId;
+
+        // Frame rate, width and quality of camera and screen frames follow the state of the connection
+        this.captureController = new AdaptiveCaptureController(adaptiveCapture);
+        const { width, quality } = this.captureController.settings;
         
         // Initialize camera
         this.cameraManager = new CameraManager({
-            width: this.resizeWidth,
-            quality: this.quality,
+            width,
+            quality,
+            changeDetection: frameChangeDetection,
+            blur: cameraBlur,
             facingMode: localStorage.getItem('facingMode') || 'environment'
         });
-        this.cameraInterval = null;
+        this.cameraLoop = null;
 
         // Initialize screen sharing
         this.screenManager = new ScreenManager({
-            width: this.resizeWidth,
-            quality: this.quality,
+            width,
+            quality,
+            changeDetection: frameChangeDetection,
             onStop: () => {
-                // Clean up interval and emit event when screen sharing stops
-                if (this.screenInterval) {
-                    clearInterval(this.screenInterval);
-                    this.screenInterval = null;
-                }
+                // Stop the capture loop and emit event when screen sharing stops
+                this.stopCaptureLoop('screenLoop');
                 // Emit screen share stopped event
                 this.emit('screenshare_stopped');
             }
         });
-        this.screenInterval = null;
+        this.screenLoop = null;
         
-        // Add function declarations to config
+        // Request native transcription of the audio in both directions as part of the setup
+        if (transcriptionProvider === 'gemini') {
+            if (transcribeModelsSpeech) config.outputAudioTranscription = {};
+            if (transcribeUsersSpeech) config.inputAudioTranscription = {};
+        }
+
+        // Push-to-talk replaces the server's voice activity detection
+        if (micMode === 'push-to-talk') {
+            config.realtimeInputConfig = { automaticActivityDetection: { disabled: true } };
+        }
+
+        // Add function declarations of registered tools next to the built-in tools of the config
         this.toolManager = toolManager;
-        config.tools.functionDeclarations = toolManager.getToolDeclarations() || [];
+        const functionDeclarations = toolManager.getToolDeclarations() || [];
+        if (functionDeclarations.length) {
+            config.tools.push({ functionDeclarations });
+        }
         this.config = config;
 
         this.name = name;
         this.url = url;
+        this.reconnect = reconnect;
         this.client = null;
+
+        // Wire-level traffic recording, kept across reconnects for the whole page session
+        this.sessionRecorder = sessionRecording === 'off'
+            ? null
+            : new SessionRecorder({ includeMedia: sessionRecording === 'full' });
+        this.sessionReplayer = null;
+
+        // Audio of both sides of the conversation on one timeline, recorded on demand
+        this.sessionAudioRecorder = new SessionAudioRecorder();
+
+        // Audio of each model turn, cached for replay from the chat
+        this.turnAudioCache = new TurnAudioCache();
+        this.currentTurnAudio = null;    // { id, chunks, sampleRate } of the turn being received
     }
 
     setupEventListeners() {
@@ -92,18 +164,30 @@ export class GeminiAgent extends EventEmitter {
             this.emit('text', text);
         });
 
-        // Handle incoming audio data from the model
-        this.client.on('audio', async (data) => {
-            try {
-                if (!this.audioStreamer.isInitialized) {
-                    this.audioStreamer.initialize();
-                }
-                this.audioStreamer.streamAudio(new Uint8Array(data));
+        // Handle native transcriptions, exposed through the same events as the transcriber adapters
+        this.client.on('output_transcription', (text) => {
+            this.emit('transcription', text, { source: 'gemini' });
+            console.debug('Model speech transcription:', text);
+        });
 
-                if (this.modelTranscriber && this.modelTranscriber.isConnected) {
-                    this.modelTranscriber.sendAudio(data);
-                }
+        this.client.on('input_transcription', (text) => {
+            this.emit('user_transcription', text, { source: 'gemini' });
+            console.debug('User speech transcription:', text);
+        });
 
+        // Handle incoming audio data from the model
+        this.client.on('audio', async (data, sampleRate) => {
+            if (this.responseMode !== 'audio' || !this.audioStreamer) return;
+            try {
+                this.audioStreamer.streamAudio(new Uint8Array(data), sampleRate);
+                this.collectTurnAudio(new Int16Array(data), sampleRate ?? this.audioStreamer.sampleRate);
+                this.sessionAudioRecorder.addModelAudio(
+                    new Int16Array(data),
+                    sampleRate ?? this.audioStreamer.sampleRate,
+                    this.audioStreamer.stats.targetMs / 1000
+                );
+
+                this.transcribeModelAudio(data, this.audioStreamer.sampleRateOverride ?? sampleRate ?? this.modelSampleRate);
             } catch (error) {
                 // Log the error but don't re-throw, to avoid blocking other event processing (like text)
                 console.error('Error processing incoming audio data:', error);
@@ -112,52 +196,258 @@ export class GeminiAgent extends EventEmitter {
             }
         });
 
+        // Handle code the model ran with the code execution tool, and its output
+        this.client.on('executable_code', (executableCode) => {
+            this.emit('executable_code', executableCode);
+        });
+
+        this.client.on('code_execution_result', (result) => {
+            this.emit('code_execution_result', result);
+        });
+
+        // Handle search grounding (queries, sources and supported segments) of the model's answer
+        this.client.on('grounding', (metadata) => {
+            this.emit('grounding', metadata);
+        });
+
         // Handle model interruptions by stopping audio playback
         this.client.on('interrupted', () => {
-            this.audioStreamer.stop();
-            this.audioStreamer.isInitialized = false;
+            this.audioStreamer?.stop();
+            this.sessionAudioRecorder.interruptModel();
+            this.finishTurnAudio(true);
+            this.modelTranscriber?.flush();
             this.emit('interrupted');
         });
 
         // Add an event handler when the model finishes speaking if needed
         this.client.on('turn_complete', () => {
             console.info('Model finished speaking');
+            // Play out the buffered rest of the answer without waiting to fill the jitter buffer
+            this.audioStreamer?.markStreamComplete();
+            this.finishTurnAudio(false);
+            this.modelTranscriber?.flush();
             this.emit('turn_complete');
         });
 
-        this.client.on('tool_calls', async (toolCalls) => {
-            if (Array.isArray(toolCalls.functionCalls)) {
-                for (const functionCall of toolCalls.functionCalls) {
-                    const response = await this.toolManager.handleToolCall(functionCall);
-                    await this.client.sendToolResponse(response);
-                }
-            } else {
-                // Handle single tool call (if needed)
-            }
+        // Surface connection state changes so the UI can reflect automatic reconnects
+        this.client.on('reconnecting', (info) => {
+            this.emit('reconnecting', info);
+        });
+
+        this.client.on('reconnected', (info) => {
+            this.emit('reconnected', info);
+        });
+
+        const client = this.client;
+        this.client.on('disconnected', (details) => {
+            // Ignore late close events of a client that was already replaced
+            if (client !== this.client) return;
+            this.connected = false;
+            this.emit('disconnected', details);
+        });
+
+        this.client.on('tool_call', (toolCall) => {
+            this.handleToolCalls(toolCall).catch((error) => {
+                console.error('Error handling tool calls:', error);
+            });
+        });
+
+        // Abort tool executions the server no longer waits for
+        this.client.on('tool_call_cancellation', ({ ids = [] }) => {
+            this.toolManager.cancelToolCalls(ids);
         });
     }
-        
-    async handleToolCalls(toolCalls) {
-        if (Array.isArray(toolCalls.functionCalls)) {
-            for (const functionCall of toolCalls.functionCalls) {
-                const response = await this.toolManager.handleToolCall(functionCall);
-                await this.client.sendToolResponse(response);
-            }
-        } else {
-            // Handle single tool call (if needed)
+
+    /**
+     * Executes all function calls of a toolCall message concurrently
+     * and sends their results back in one toolResponse.
+     * @param {Object} toolCall - The toolCall message content
+     */
+    async handleToolCalls(toolCall) {
+        if (!Array.isArray(toolCall.functionCalls) || !toolCall.functionCalls.length) {
+            return;
+        }
+
+        const client = this.client;
+        const responses = await this.toolManager.handleToolCalls(toolCall.functionCalls);
+        // Skip if everything was cancelled or the session changed while the tools were running
+        if (!responses.length || client !== this.client) {
+            return;
         }
+        await client.sendToolResponse(responses);
     }
 
     /**
      * Connects to the Gemini API using the GeminiWebsocketClient.connect() method.
      */
     async connect() {
-        this.client = new GeminiWebsocketClient(this.name, this.url, this.config);
+        this.client = new GeminiWebsocketClient(this.name, this.url, this.config, this.reconnect);
+        this.client.setRecorder(this.sessionRecorder);
         await this.client.connect();
         this.setupEventListeners();
         this.connected = true;
     }
 
+    /**
+     * Switches the modality the model answers in. The setup is rebuilt and, when connected,
+     * the session is re-opened with it. Microphone, camera and screen sharing keep running.
+     * @param {'text'|'audio'} mode - New response mode
+     */
+    async setResponseMode(mode) {
+        if (mode === this.responseMode) return;
+        this.responseMode = mode;
+        this.config.generationConfig.responseModalities = mode;
+
+        if (mode === 'audio') {
+            if (this.initialized) {
+                this.setupAudioOutput();
+            }
+        } else {
+            this.teardownAudioOutput();
+        }
+
+        if (!this.connected) return;
+
+        console.info(`Re-opening session for response mode: ${mode}`);
+        const previousClient = this.client;
+        this.client = null; // Late events of the previous client are ignored from here on
+        previousClient.disconnect();
+        this.connected = false;
+        await this.connect();
+    }
+
+    /**
+     * Sets up model audio playback and feeds it to the visualizer.
+     * @private
+     */
+    setupAudioOutput() {
+        if (this.audioStreamer) return;
+        this.audioStreamer = new AudioStreamer(this.audioContext);
+        this.audioStreamer.initialize().catch((error) => console.error('Error initializing audio playback:', error));
+        this.audioStreamer.setOutputDevice(this.audioOutputDeviceId).catch((error) => console.error('Error selecting audio output device:', error));
+        if (this.visualizer) {
+            this.visualizer.connectSource(this.audioStreamer.gainNode);
+        }
+    }
+
+    /**
+     * Stops model audio playback and releases its nodes.
+     * @private
+     */
+    teardownAudioOutput() {
+        if (this.audioStreamer) {
+            this.audioStreamer.dispose();
+            this.audioStreamer = null;
+        }
+    }
+
+    /**
+     * Downloads the recorded wire traffic of this page session as a JSONL file.
+     */
+    downloadSessionLog() {
+        if (!this.sessionRecorder) {
+            console.warn('Session recording is disabled, enable it in the settings first');
+            return;
+        }
+        this.sessionRecorder.download();
+    }
+
+    /**
+     * Collects model audio of the current turn, the first chunk announces the turn with 'turn_audio_start'.
+     * @param {Int16Array} samples - PCM16 samples
+     * @param {number} sampleRate - Sample rate of the samples
+     * @private
+     */
+    collectTurnAudio(samples, sampleRate) {
+        if (!this.currentTurnAudio) {
+            const id = `turn-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            this.currentTurnAudio = { id, chunks: [], sampleRate };
+            this.emit('turn_audio_start', id);
+        }
+        this.currentTurnAudio.chunks.push(samples);
+    }
+
+    /**
+     * Stores the audio of the finished turn in the cache and emits 'turn_audio_saved'.
+     * @param {boolean} interrupted - Whether the user interrupted the turn
+     * @private
+     */
+    async finishTurnAudio(interrupted) {
+        const turn = this.currentTurnAudio;
+        if (!turn) return;
+        this.currentTurnAudio = null;
+
+        const length = turn.chunks.reduce((total, chunk) => total + chunk.length, 0);
+        const samples = new Int16Array(length);
+        let offset = 0;
+        turn.chunks.forEach((chunk) => {
+            samples.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        try {
+            await this.turnAudioCache.save(turn.id, { samples, sampleRate: turn.sampleRate, interrupted });
+            this.emit('turn_audio_saved', { id: turn.id, durationMs: Math.round(length / turn.sampleRate * 1000), interrupted });
+        } catch (error) {
+            console.error('Error caching turn audio:', error);
+        }
+    }
+
+    /**
+     * Loads the cached audio of a model turn as a WAV file.
+     * @param {string} id - Turn id from 'turn_audio_start'
+     * @returns {Promise<Blob|null>} WAV file, or null if the turn is no longer cached
+     */
+    async loadTurnAudio(id) {
+        const turn = await this.turnAudioCache.load(id);
+        if (!turn) return null;
+        const float32 = Float32Array.from(turn.samples, (sample) => sample / 32768);
+        return encodeWav([float32], turn.sampleRate);
+    }
+
+    /**
+     * Starts recording the audio of both sides of the conversation.
+     */
+    startSessionAudioRecording() {
+        this.sessionAudioRecorder.start();
+        this.emit('session_audio_recording', true);
+    }
+
+    /**
+     * Stops the session audio recording and downloads it.
+     * @param {'stereo'|'separate'} [format='stereo'] - One stereo WAV (user left, model right) or one WAV per side
+     */
+    stopSessionAudioRecording(format = 'stereo') {
+        if (!this.sessionAudioRecorder.isRecording) return;
+        this.sessionAudioRecorder.stop();
+        this.emit('session_audio_recording', false);
+        this.sessionAudioRecorder.download(format);
+    }
+
+    /**
+     * Replays a recorded session log through a disconnected client, driving the
+     * same events as a live session without needing an API key or network.
+     * @param {string} jsonl - Log produced by SessionRecorder
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - Playback speed factor
+     */
+    async replaySession(jsonl, { speed = 1 } = {}) {
+        if (this.connected) {
+            await this.disconnect();
+        }
+        this.sessionReplayer?.stop();
+
+        this.client = new GeminiWebsocketClient(this.name, this.url, this.config, { enabled: false });
+        this.setupEventListeners();
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        this.sessionReplayer = new SessionReplayer(jsonl);
+        await this.sessionReplayer.replay(this.client, { speed });
+        this.sessionReplayer = null;
+    }
+
     /**
      * Sends a text message to the Gemini API.
      * @param {string} text - The text message to send.
@@ -178,11 +468,7 @@ export class GeminiAgent extends EventEmitter {
         try {
             await this.cameraManager.initialize();
             
-            // Set up interval to capture and send images
-            this.cameraInterval = setInterval(async () => {
-                const imageBase64 = await this.cameraManager.capture();
-                this.client.sendImage(imageBase64);                
-            }, this.captureInterval);
+            this.startCaptureLoop(this.cameraManager, 'cameraLoop');
             
             console.info('Camera capture started');
         } catch (error) {
@@ -195,16 +481,13 @@ export class GeminiAgent extends EventEmitter {
      * Stops camera capture and cleans up resources
      */
     async stopCameraCapture() {
-        if (this.cameraInterval) {
-            clearInterval(this.cameraInterval);
-            this.cameraInterval = null;
-        }
+        this.stopCaptureLoop('cameraLoop');
         
         if (this.cameraManager) {
             this.cameraManager.dispose();
         }
         
-        console.info('Camera capture stopped');
+        console.info('Camera capture stopped', this.cameraManager?.frameFilter?.stats);
     }
 
     /**
@@ -218,11 +501,7 @@ export class GeminiAgent extends EventEmitter {
         try {
             await this.screenManager.initialize();
             
-            // Set up interval to capture and send screenshots
-            this.screenInterval = setInterval(async () => {
-                const imageBase64 = await this.screenManager.capture();
-                this.client.sendImage(imageBase64);
-            }, this.captureInterval);
+            this.startCaptureLoop(this.screenManager, 'screenLoop');
             
             console.info('Screen sharing started');
         } catch (error) {
@@ -235,16 +514,85 @@ export class GeminiAgent extends EventEmitter {
      * Stops screen sharing and cleans up resources
      */
     async stopScreenShare() {
-        if (this.screenInterval) {
-            clearInterval(this.screenInterval);
-            this.screenInterval = null;
-        }
+        this.stopCaptureLoop('screenLoop');
         
         if (this.screenManager) {
             this.screenManager.dispose();
         }
         
-        console.info('Screen sharing stopped');
+        console.info('Screen sharing stopped', this.screenManager?.frameFilter?.stats);
+    }
+
+    /**
+     * Captures and sends frames of a camera or screen manager, each frame scheduling the next
+     * so that the interval follows the frame rate chosen by the capture controller
+     * @param {CameraManager|ScreenManager} manager - Source of the frames
+     * @param {'cameraLoop'|'screenLoop'} loopName - Property holding the loop, cleared by stopCaptureLoop()
+     * @private
+     */
+    startCaptureLoop(manager, loopName) {
+        this.stopCaptureLoop(loopName);
+        const loop = { timer: null };
+        const tick = async () => {
+            try {
+                await this.captureFrame(manager);
+            } catch (error) {
+                console.error('Error capturing frame:', error);
+            }
+            // Stopped or restarted while the frame was captured
+            if (this[loopName] !== loop) return;
+            loop.timer = setTimeout(tick, 1000 / this.captureController.settings.fps);
+        };
+        this[loopName] = loop;
+        loop.timer = setTimeout(tick, 1000 / this.captureController.settings.fps);
+    }
+
+    /**
+     * @param {'cameraLoop'|'screenLoop'} loopName - Property holding the loop
+     * @private
+     */
+    stopCaptureLoop(loopName) {
+        if (this[loopName]) {
+            clearTimeout(this[loopName].timer);
+            this[loopName] = null;
+        }
+    }
+
+    /**
+     * Captures one frame at the current adaptive settings and sends it, unless the frame did not
+     * change or the socket is too backed up to send an image without delaying audio
+     * @param {CameraManager|ScreenManager} manager - Source of the frame
+     * @private
+     */
+    async captureFrame(manager) {
+        const controller = this.captureController;
+        controller.update({
+            bufferedAmount: this.client.bufferedAmount,
+            sendDelayMs: this.client.sendDelayMs,
+            roundTripMs: this.client.roundTripMs
+        });
+        if (!controller.canSendImage(this.client.bufferedAmount, this.isSendingAudio())) {
+            console.debug('Frame held back, the socket is still sending', this.client.bufferedAmount, 'bytes');
+            return;
+        }
+
+        manager.setEncoding(controller.settings);
+        const imageBase64 = await manager.capture();
+        // Frames that did not change are skipped
+        if (!imageBase64) return;
+        await this.client.sendImage(imageBase64);
+    }
+
+    /**
+     * Whether microphone audio is being sent right now, images then wait for an almost empty socket
+     * @returns {boolean} True while audio chunks are sent
+     */
+    isSendingAudio() {
+        const recorder = this.audioRecorder;
+        if (!recorder?.isRecording || recorder.isSuspended) return false;
+        if (this.micMode === 'push-to-talk') return this.isTransmitting;
+        // With client-side VAD silence is not sent
+        return !this.vad.enabled || recorder.isSpeaking;
     }
 
     /**
@@ -264,37 +612,31 @@ export class GeminiAgent extends EventEmitter {
                 this.audioRecorder.stop();
                 this.audioRecorder = null;
             }
+            if (this.isTransmitting) {
+                this.isTransmitting = false;
+                this.emit('transmitting', false);
+            }
+            this.finishTurnAudio(true);
 
-            // Cleanup audio visualizer before audio context
+            // Cleanup audio visualizer and streamer before closing context
             if (this.visualizer) {
                 this.visualizer.cleanup();
                 this.visualizer = null;
             }
-
-            // Clean up audio streamer before closing context
-            if (this.audioStreamer) {
-                this.audioStreamer.stop();
-                this.audioStreamer = null;
-            }
+            this.teardownAudioOutput();
 
             // Cleanup model's speech transcriber
             if (this.modelTranscriber) {
                 this.modelTranscriber.disconnect();
                 this.modelTranscriber = null;
-                if (this.modelsKeepAliveInterval) {
-                    clearInterval(this.modelsKeepAliveInterval);
-                    this.modelsKeepAliveInterval = null;
-                }
             }
+            this.modelTranscriberRate = null;
+            this.modelTranscriberQueue = null;
 
             // Cleanup user's speech transcriber
             if (this.userTranscriber) {
                 this.userTranscriber.disconnect();
                 this.userTranscriber = null;
-                if (this.userKeepAliveInterval) {
-                    clearInterval(this.userKeepAliveInterval);
-                    this.userKeepAliveInterval = null;
-                }
             }
 
             // Finally close audio context
@@ -303,9 +645,17 @@ export class GeminiAgent extends EventEmitter {
                 this.audioContext = null;
             }
 
+            // Stop a running replay
+            if (this.sessionReplayer) {
+                this.sessionReplayer.stop();
+                this.sessionReplayer = null;
+            }
+
             // Cleanup WebSocket
-            this.client.disconnect();
-            this.client = null;
+            if (this.client) {
+                this.client.disconnect();
+                this.client = null;
+            }
             this.initialized = false;
             this.connected = false;
             
@@ -316,75 +666,101 @@ export class GeminiAgent extends EventEmitter {
     }
 
     /**
-     * Initializes the model's speech transcriber with Deepgram
+     * Creates the transcriber of the selected provider for one side of the conversation
+     * @param {'model'|'user'} side - Whose speech is transcribed
+     * @param {number} sampleRate - Rate of the audio passed to the transcriber
+     * @returns {Transcriber|null} Transcriber, or null if the provider cannot be used
      */
-    async initializeModelSpeechTranscriber() {
-        if (!this.modelTranscriber) {
-            console.warn('Either no Deepgram API key provided or model speech transcription disabled');
-            return;
+    createTranscriber(side, sampleRate) {
+        switch (this.transcriptionProvider) {
+            case 'deepgram':
+                if (!this.deepgramApiKey) {
+                    console.warn('No Deepgram API key provided, transcription disabled');
+                    return null;
+                }
+                return new DeepgramTranscriber(this.deepgramApiKey, sampleRate);
+            case 'webspeech':
+                if (side === 'model') {
+                    console.warn('Browser speech recognition only transcribes the microphone, model speech not transcribed');
+                    return null;
+                }
+                if (!WebSpeechTranscriber.isSupported()) {
+                    console.warn('Browser speech recognition not supported, transcription disabled');
+                    return null;
+                }
+                return new WebSpeechTranscriber();
+            case 'whisper':
+                if (!this.whisper.url) {
+                    console.warn('No Whisper server URL provided, transcription disabled');
+                    return null;
+                }
+                return new WhisperTranscriber({ ...this.whisper, sampleRate });
+            default:
+                return null;
         }
+    }
 
-        console.info('Initializing Deepgram model speech transcriber...');
-
-        // Promise to send keep-alive every 10 seconds once connected
-        const connectionPromise = new Promise((resolve) => {
-            this.modelTranscriber.on('connected', () => {
-                console.info('Model speech transcriber connection established, setting up keep-alive...');
-                this.modelsKeepAliveInterval = setInterval(() => {
-                    if (this.modelTranscriber.isConnected) {
-                        this.modelTranscriber.ws.send(JSON.stringify({ type: 'KeepAlive' }));
-                        console.info('Sent keep-alive message to model speech transcriber');
-                    }
-                }, 10000);
-                resolve();
-            });
-        });
+    /**
+     * Passes model audio to the model's speech transcriber. The transcriber is created for the rate of the
+     * first chunk and re-created if the rate changes, audio that arrives while it connects is sent once it is connected.
+     * @param {ArrayBuffer} data - PCM16 audio of the model
+     * @param {number} sampleRate - Rate of the audio
+     * @private
+     */
+    transcribeModelAudio(data, sampleRate) {
+        if (!this.transcribeModelsSpeech) return;
 
-        // Just log transcription to console for now
-        this.modelTranscriber.on('transcription', (transcript) => {
-            this.emit('transcription', transcript);
-            console.debug('Model speech transcription:', transcript);
-        });
+        if (sampleRate !== this.modelTranscriberRate) {
+            if (this.modelTranscriber) {
+                console.info(`Model audio rate changed to ${sampleRate} Hz, re-creating its transcriber`);
+                this.modelTranscriber.disconnect();
+            }
+            this.modelTranscriberRate = sampleRate;
+            this.modelTranscriberQueue = null;
+            const transcriber = this.createTranscriber('model', sampleRate);
+            this.modelTranscriber = transcriber;
+            if (transcriber) {
+                this.modelTranscriberQueue = [];
+                this.initializeTranscriber(transcriber, 'transcription')
+                    .then(() => {
+                        if (this.modelTranscriber !== transcriber) return;
+                        this.modelTranscriberQueue.forEach((chunk) => transcriber.sendAudio(chunk));
+                        this.modelTranscriberQueue = null;
+                    })
+                    .catch((error) => {
+                        console.error('Failed to connect transcriber for transcription:', error);
+                        if (this.modelTranscriber !== transcriber) return;
+                        this.modelTranscriber = null;
+                        this.modelTranscriberQueue = null;
+                    });
+            }
+        }
 
-        // Connect to Deepgram and execute promise
-        await this.modelTranscriber.connect();
-        await connectionPromise;
+        if (this.modelTranscriberQueue) {
+            this.modelTranscriberQueue.push(data);
+        } else if (this.modelTranscriber?.isConnected) {
+            this.modelTranscriber.sendAudio(data);
+        }
     }
 
     /**
-     * Initializes the user's speech transcriber with Deepgram
+     * Connects a transcriber and forwards its transcripts, interim hypotheses as `${eventName}_interim`
+     * @param {Transcriber} transcriber - Transcriber to connect
+     * @param {string} eventName - Event emitted with each final transcript, 'transcription' or 'user_transcription'
      */
-    async initializeUserSpeechTranscriber() {
-        if (!this.userTranscriber) {
-            console.warn('Either no Deepgram API key provided or user speech transcription disabled');
-            return;
-        }
+    async initializeTranscriber(transcriber, eventName) {
+        console.info(`Initializing ${this.transcriptionProvider} transcriber for ${eventName}...`);
 
-        console.info('Initializing Deepgram user speech transcriber...');
-
-        // Promise to send keep-alive every 10 seconds once connected
-        const connectionPromise = new Promise((resolve) => {
-            this.userTranscriber.on('connected', () => {
-                console.info('User speech transcriber connection established, setting up keep-alive...');
-                this.userKeepAliveInterval = setInterval(() => {
-                    if (this.userTranscriber.isConnected) {
-                        this.userTranscriber.ws.send(JSON.stringify({ type: 'KeepAlive' }));
-                        console.info('Sent keep-alive message to user transcriber');
-                    }
-                }, 10000);
-                resolve();
-            });
+        transcriber.on('transcription', (transcript) => {
+            this.emit(eventName, transcript, { source: this.transcriptionProvider });
+            console.debug(`${eventName}:`, transcript);
         });
-
-        // Handle user transcription events
-        this.userTranscriber.on('transcription', (transcript) => {
-            this.emit('user_transcription', transcript);
-            console.debug('User speech transcription:', transcript);
+        transcriber.on('interim', (transcript) => {
+            this.emit(`${eventName}_interim`, transcript, { source: this.transcriptionProvider });
         });
+        transcriber.on('error', (error) => console.error(`Transcriber error (${eventName}):`, error));
 
-        // Connect to Deepgram and execute promise
-        await this.userTranscriber.connect();
-        await connectionPromise;
+        await transcriber.connect();
     }
 
     /**
@@ -393,28 +769,43 @@ export class GeminiAgent extends EventEmitter {
      */
     async initialize() {
         try {            
-            // Initialize audio components
+            // Initialize audio components, model audio output only when answering with audio
             this.audioContext = new AudioContext();
-            this.audioStreamer = new AudioStreamer(this.audioContext);
-            this.audioStreamer.initialize();
-            this.visualizer = new AudioVisualizer(this.audioContext, 'visualizer');
-            this.audioStreamer.gainNode.connect(this.visualizer.analyser);
+            // The visualizer also meters the microphone, so it runs in text mode too
+            this.visualizer = new AudioVisualizer(this.audioContext, 'visualizer', {
+                mode: this.visualizerMode,
+                getSpeaker: () => this.getActiveSpeaker(),
+                getInputAnalyser: () => {
+                    const recorder = this.audioRecorder;
+                    return recorder?.isRecording && !recorder.isSuspended ? recorder.analyser : null;
+                }
+            });
             this.visualizer.start();
-            this.audioRecorder = new AudioRecorder();
+            if (this.responseMode === 'audio') {
+                this.setupAudioOutput();
+            }
+            this.audioRecorder = new AudioRecorder({ vad: this.vad, deviceId: this.audioInputDeviceId });
+            this.audioRecorder.addEventListener('devicechange', (event) => this.emit('audio_input_changed', event.detail));
+            this.audioRecorder.addEventListener('speech_start', () => this.emit('speech_start'));
+            this.audioRecorder.addEventListener('speech_end', () => {
+                // Audio stops until the next speech_start, let the server flush what it buffered
+                this.client?.sendAudioStreamEnd().catch((error) => console.error('Error sending audio stream end:', error));
+                this.userTranscriber?.flush();
+                this.emit('speech_end');
+            });
             
-            // Initialize transcriber if API key is provided
-            if (this.deepgramApiKey) {
-                if (this.transcribeModelsSpeech) {
-                    this.modelTranscriber = new DeepgramTranscriber(this.deepgramApiKey, this.modelSampleRate);
-                    await this.initializeModelSpeechTranscriber();
-                }
-                if (this.transcribeUsersSpeech) {
-                    this.userTranscriber = new DeepgramTranscriber(this.deepgramApiKey, 16000);
-                    await this.initializeUserSpeechTranscriber();
-                }
-            } else {
-                console.warn('No Deepgram API key provided, transcription disabled');
+            // Initialize a separate transcriber unless Gemini transcribes natively, a failing one only disables transcription.
+            // The model's transcriber follows with its first audio, whose rate is only known then.
+            if (this.transcribeUsersSpeech) {
+                this.userTranscriber = this.createTranscriber('user', this.audioRecorder.sampleRate);
+            }
+            if (this.userTranscriber) {
+                await this.initializeTranscriber(this.userTranscriber, 'user_transcription').catch((error) => {
+                    console.error('Failed to connect transcriber for user_transcription:', error);
+                });
             }
+            // The microphone may already be open
+            this.updateMicrophoneTranscriber();
             
             this.initialized = true;
             console.info(`${this.name} initialized successfully`);
@@ -440,16 +831,34 @@ export class GeminiAgent extends EventEmitter {
     async startRecording() {
         // Start recording with callback to send audio data to websocket and transcriber
         await this.audioRecorder.start(async (audioData) => {
+            // In push-to-talk mode only audio captured while the key or button is held is sent
+            if (this.micMode === 'push-to-talk' && !this.isTransmitting) return;
             try {
-                this.client.sendAudio(audioData);
+                this.client.sendAudio(audioData, this.audioRecorder.sampleRate);
+                this.sessionAudioRecorder.addUserAudio(audioData, this.audioRecorder.sampleRate);
                 if (this.userTranscriber && this.userTranscriber.isConnected) {
-                    this.userTranscriber.sendAudio(new Uint8Array(audioData));
+                    this.userTranscriber.sendAudio(base64ToArrayBuffer(audioData));
                 }
             } catch (error) {
                 console.error('Error sending audio data:', error);
                 this.audioRecorder.stop();
+                this.updateMicrophoneTranscriber();
             }
         });
+        this.updateMicrophoneTranscriber();
+    }
+
+    /**
+     * Keeps a transcriber that listens to the microphone itself (Web Speech) in step with the app's
+     * microphone, so it only hears what is sent to the model: not while the mic is off or suspended,
+     * and with push-to-talk only while transmitting
+     * @private
+     */
+    updateMicrophoneTranscriber() {
+        if (!this.userTranscriber?.capturesMicrophone) return;
+        const recorder = this.audioRecorder;
+        const isMicOpen = Boolean(recorder?.isRecording && !recorder.isSuspended);
+        this.userTranscriber.setListening(isMicOpen && (this.micMode !== 'push-to-talk' || this.isTransmitting));
     }
 
     /**
@@ -461,5 +870,71 @@ export class GeminiAgent extends EventEmitter {
             return;
         }
         await this.audioRecorder.toggleMic();
-    }           
+        this.updateMicrophoneTranscriber();
+    }
+
+    /**
+     * Who is speaking right now, drives the colours of the visualizer.
+     * Model playback wins over the microphone, the echo of the model's voice is not the user.
+     * @returns {'model'|'user'|null} The speaker, or null if VAD and playback report silence
+     */
+    getActiveSpeaker() {
+        if (this.audioStreamer?.isPlaying) return 'model';
+        if (this.isTransmitting || this.audioRecorder?.isSpeaking) return 'user';
+        return null;
+    }
+
+    /**
+     * Starts a push-to-talk transmission: signals activityStart and sends microphone audio until stopTransmitting().
+     */
+    async startTransmitting() {
+        if (this.isTransmitting) return;
+        if (this.transmissionStart) return this.transmissionStart;
+        this.emit('transmitting', true);
+        this.visualizer?.setTransmitting(true);
+
+        // Opening the microphone may wait for a permission prompt, stopTransmitting() waits for this
+        this.transmissionStart = (async () => {
+            try {
+                if (!this.audioRecorder.stream) {
+                    await this.startRecording();
+                } else if (this.audioRecorder.isSuspended) {
+                    await this.audioRecorder.resumeMic();
+                }
+                await this.client.sendActivityStart();
+                // Audio is only sent once the server knows the activity started
+                this.isTransmitting = true;
+                this.updateMicrophoneTranscriber();
+            } catch (error) {
+                this.emit('transmitting', false);
+                this.visualizer?.setTransmitting(false);
+                throw error;
+            } finally {
+                this.transmissionStart = null;
+            }
+        })();
+        return this.transmissionStart;
+    }
+
+    /**
+     * Ends a push-to-talk transmission with activityEnd, the model answers what it heard.
+     */
+    async stopTransmitting() {
+        // A release during startTransmitting() ends the activity once it started, never before
+        if (this.transmissionStart) {
+            try {
+                await this.transmissionStart;
+            } catch {
+                // activityStart never went out, so there is nothing to end
+                return;
+            }
+        }
+        if (!this.isTransmitting) return;
+        this.isTransmitting = false;
+        this.emit('transmitting', false);
+        this.visualizer?.setTransmitting(false);
+        this.userTranscriber?.flush();
+        this.updateMicrophoneTranscriber();
+        await this.client?.sendActivityEnd();
+    }
 }
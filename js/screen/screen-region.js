@@ -0,0 +1,331 @@
+/**
+ * Region of interest and redactions for screen sharing. Rectangles are normalized to the shared video,
+ * { x, y, width, height } in 0-1, so they survive resolution changes of the shared surface.
+ */
+import { luminanceGrid } from '../utils/frame-change-detector.js';
+
+// Selections smaller than this share of the frame are treated as a click and ignored
+const MIN_REGION_SIZE = 0.02;
+
+// Luminance grid used to find where the screen changes in follow mode
+const GRID_WIDTH = 64;
+const PIXEL_THRESHOLD = 24;
+// Frames where more than this share of the grid changed are scrolls or page switches, not the pointer
+const MAX_CHANGED_RATIO = 0.3;
+// How far the zoom window moves towards the activity per frame
+const FOLLOW_SMOOTHING = 0.5;
+
+export const FULL_FRAME = Object.freeze({ x: 0, y: 0, width: 1, height: 1 });
+
+/**
+ * Overlay and toolbar in the screen preview to select a region, switch to follow-cursor zoom or
+ * back to the full screen, and to draw redaction rectangles. Outside of drawing the overlay lets
+ * clicks through, so the preview can still be dragged by its video.
+ */
+export class ScreenRegionOverlay {
+    /**
+     * @param {HTMLElement} container - Preview element holding the video
+     * @param {HTMLVideoElement} video - Video of the shared screen
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onSelect - Called with the selected region
+     * @param {Function} callbacks.onModeChange - Called with 'full' or 'follow'
+     * @param {Function} callbacks.onRedact - Called with a rectangle to black out
+     * @param {Function} callbacks.onRemoveRedaction - Called with the index of a redaction to remove
+     */
+    constructor(container, video, { onSelect, onModeChange, onRedact, onRemoveRedaction }) {
+        this.container = container;
+        this.video = video;
+        this.onSelect = onSelect;
+        this.onModeChange = onModeChange;
+        this.onRedact = onRedact;
+        this.onRemoveRedaction = onRemoveRedaction;
+        this.selecting = null;          // 'region' or 'redact' while the user draws a rectangle
+        this.selectionStart = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'screen-region-overlay';
+        this.rectElement = document.createElement('div');
+        this.rectElement.className = 'screen-region-rect';
+        this.element.appendChild(this.rectElement);
+        this.redactionElements = [];
+        this.draftRedaction = document.createElement('div');
+        this.draftRedaction.className = 'screen-redaction draft';
+        this.element.appendChild(this.draftRedaction);
+
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'screen-region-toolbar';
+        this.buttons = {
+            region: this.createButton('Region', 'Drag on the preview to share only this region', () => this.setSelecting(this.selecting === 'region' ? null : 'region')),
+            follow: this.createButton('Follow', 'Zoom in where the cursor moves and the screen changes', () => this.onModeChange('follow')),
+            full: this.createButton('Full', 'Share the whole screen', () => this.onModeChange('full')),
+            redact: this.createButton('Redact', 'Drag on the preview to black out an area before frames are sent', () => this.setSelecting(this.selecting === 'redact' ? null : 'redact'))
+        };
+
+        container.appendChild(this.element);
+        container.appendChild(this.toolbar);
+
+        this.element.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        this.element.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        this.element.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+        this.element.addEventListener('pointercancel', () => this.setSelecting(null));
+
+        // Keep the overlay on the visible video, which is letterboxed inside the preview
+        this.layout = this.layout.bind(this);
+        this.resizeObserver = new ResizeObserver(this.layout);
+        this.resizeObserver.observe(container);
+        video.addEventListener('resize', this.layout);
+        this.layout();
+    }
+
+    /**
+     * @param {string} label - Button text
+     * @param {string} title - Tooltip
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button added to the toolbar
+     * @private
+     */
+    createButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'screen-region-btn';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+        });
+        this.toolbar.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Fits the overlay to the part of the preview showing the video (object-fit: contain)
+     */
+    layout() {
+        const { videoWidth, videoHeight } = this.video;
+        const { clientWidth, clientHeight } = this.container;
+        if (!videoWidth || !videoHeight || !clientWidth || !clientHeight) return;
+        const scale = Math.min(clientWidth / videoWidth, clientHeight / videoHeight);
+        const width = videoWidth * scale;
+        const height = videoHeight * scale;
+        Object.assign(this.element.style, {
+            left: `${(clientWidth - width) / 2}px`,
+            top: `${(clientHeight - height) / 2}px`,
+            width: `${width}px`,
+            height: `${height}px`
+        });
+    }
+
+    /**
+     * Starts or cancels drawing a rectangle
+     * @param {'region'|'redact'|null} purpose - What the rectangle is for, null to stop drawing
+     */
+    setSelecting(purpose) {
+        this.selecting = purpose;
+        this.selectionStart = null;
+        this.draftRedaction.classList.remove('visible');
+        this.element.classList.toggle('selecting', Boolean(purpose));
+        this.buttons.region.classList.toggle('active', purpose === 'region' || this.mode === 'region');
+        this.buttons.redact.classList.toggle('active', purpose === 'redact');
+    }
+
+    /**
+     * Shows the captured region and highlights the active mode
+     * @param {{x: number, y: number, width: number, height: number}} region - Captured part of the frame
+     * @param {'full'|'region'|'follow'} mode - Active mode
+     */
+    show(region, mode) {
+        this.mode = mode;
+        const isCropped = mode !== 'full';
+        this.rectElement.classList.toggle('visible', isCropped);
+        this.rectElement.classList.toggle('following', mode === 'follow');
+        if (isCropped) this.positionRect(region);
+        for (const name of ['region', 'follow', 'full']) {
+            this.buttons[name].classList.toggle('active', name === mode || (name === 'region' && this.selecting === 'region'));
+        }
+    }
+
+    /**
+     * Shows the redacted areas, each with a button to remove it
+     * @param {Array<{x: number, y: number, width: number, height: number}>} redactions - Normalized rectangles
+     */
+    showRedactions(redactions) {
+        this.redactionElements.forEach((element) => element.remove());
+        this.redactionElements = redactions.map((redaction, index) => {
+            const element = document.createElement('div');
+            element.className = 'screen-redaction visible';
+            this.positionRect(redaction, element);
+            const removeButton = document.createElement('button');
+            removeButton.className = 'screen-redaction-remove';
+            removeButton.textContent = '×';
+            removeButton.title = 'Remove this redaction';
+            removeButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.onRemoveRedaction(index);
+            });
+            element.appendChild(removeButton);
+            this.element.appendChild(element);
+            return element;
+        });
+    }
+
+    /**
+     * @param {{x: number, y: number, width: number, height: number}} region - Normalized rectangle
+     * @param {HTMLElement} [element=this.rectElement] - Element to place on it
+     * @private
+     */
+    positionRect({ x, y, width, height }, element = this.rectElement) {
+        Object.assign(element.style, {
+            left: `${x * 100}%`,
+            top: `${y * 100}%`,
+            width: `${width * 100}%`,
+            height: `${height * 100}%`
+        });
+    }
+
+    /**
+     * @param {PointerEvent} event
+     * @returns {{x: number, y: number}} Position in the video, normalized and clamped to 0-1
+     * @private
+     */
+    toVideoPoint(event) {
+        const bounds = this.element.getBoundingClientRect();
+        return {
+            x: clamp((event.clientX - bounds.left) / bounds.width, 0, 1),
+            y: clamp((event.clientY - bounds.top) / bounds.height, 0, 1)
+        };
+    }
+
+    /**
+     * @private
+     */
+    handlePointerDown(event) {
+        if (!this.selecting) return;
+        event.preventDefault();
+        event.stopPropagation();
+        this.element.setPointerCapture(event.pointerId);
+        this.selectionStart = this.toVideoPoint(event);
+    }
+
+    /**
+     * @private
+     */
+    handlePointerMove(event) {
+        if (!this.selectionStart) return;
+        const rect = rectFromPoints(this.selectionStart, this.toVideoPoint(event));
+        if (this.selecting === 'redact') {
+            this.draftRedaction.classList.add('visible');
+            this.positionRect(rect, this.draftRedaction);
+            return;
+        }
+        this.rectElement.classList.add('visible');
+        this.rectElement.classList.remove('following');
+        this.positionRect(rect);
+    }
+
+    /**
+     * @private
+     */
+    handlePointerUp(event) {
+        if (!this.selectionStart) return;
+        const rect = rectFromPoints(this.selectionStart, this.toVideoPoint(event));
+        const purpose = this.selecting;
+        const isLargeEnough = rect.width >= MIN_REGION_SIZE && rect.height >= MIN_REGION_SIZE;
+        this.setSelecting(null);
+        if (purpose === 'redact') {
+            if (isLargeEnough) this.onRedact(rect);
+        } else if (isLargeEnough) {
+            this.onSelect(rect);
+        } else {
+            // Restore the previous state
+            this.onModeChange(this.mode);
+        }
+    }
+
+    /**
+     * Removes the overlay and stops observing the preview
+     */
+    dispose() {
+        this.resizeObserver.disconnect();
+        this.video.removeEventListener('resize', this.layout);
+        this.element.remove();
+        this.toolbar.remove();
+    }
+}
+
+/**
+ * Follow-cursor zoom. Pages cannot read the pointer position on a shared screen, so the zoom
+ * window follows where the screen changes between frames: the drawn cursor moving, typing, a
+ * menu opening. Large changes like scrolling keep the window in place.
+ */
+export class CursorFollower {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.zoom=2] - Magnification, the window covers 1/zoom of the frame on each axis
+     */
+    constructor({ zoom = 2 } = {}) {
+        this.zoom = zoom;
+        this.reset();
+    }
+
+    /**
+     * Centers the window and forgets the previous frame
+     */
+    reset() {
+        this.previous = null;
+        this.center = { x: 0.5, y: 0.5 };
+    }
+
+    /**
+     * Moves the window towards the activity in a new frame
+     * @param {HTMLVideoElement} video - Video of the shared screen
+     * @returns {{x: number, y: number, width: number, height: number}} Zoom window
+     */
+    update(video) {
+        const { luminance, width, height } = luminanceGrid(video, GRID_WIDTH);
+
+        // A grid of another size means the shared surface was resized, there is nothing to compare
+        if (this.previous?.length === luminance.length) {
+            let changed = 0;
+            let sumX = 0;
+            let sumY = 0;
+            for (let i = 0; i < luminance.length; i++) {
+                if (Math.abs(luminance[i] - this.previous[i]) > PIXEL_THRESHOLD) {
+                    changed++;
+                    sumX += (i % width) + 0.5;
+                    sumY += Math.floor(i / width) + 0.5;
+                }
+            }
+            if (changed > 0 && changed / luminance.length <= MAX_CHANGED_RATIO) {
+                this.center.x += (sumX / changed / width - this.center.x) * FOLLOW_SMOOTHING;
+                this.center.y += (sumY / changed / height - this.center.y) * FOLLOW_SMOOTHING;
+            }
+        }
+        this.previous = luminance;
+
+        const size = 1 / this.zoom;
+        return {
+            x: clamp(this.center.x - size / 2, 0, 1 - size),
+            y: clamp(this.center.y - size / 2, 0, 1 - size),
+            width: size,
+            height: size
+        };
+    }
+}
+
+/**
+ * @param {{x: number, y: number}} a - Corner
+ * @param {{x: number, y: number}} b - Opposite corner
+ * @returns {{x: number, y: number, width: number, height: number}} Rectangle spanned by the corners
+ */
+function rectFromPoints(a, b) {
+    return {
+        x: Math.min(a.x, b.x),
+        y: Math.min(a.y, b.y),
+        width: Math.abs(a.x - b.x),
+        height: Math.abs(a.y - b.y)
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
@@ -1,4 +1,11 @@
 import { makeDraggableResizable } from '../utils/draggable-resizable.js';
+import { FrameFilter, applyEncoding } from '../utils/frame-capture.js';
+import { ScreenRegionOverlay, CursorFollower, FULL_FRAME } from './screen-region.js';
+
+// Region and redactions per display surface, see getSurfaceKey()
+const REGIONS_STORAGE_KEY = 'screenRegions';
+// Regions are captured at their native resolution, but not wider than this
+const MAX_REGION_WIDTH = 1920;
 
 /**
  * Manages screen sharing capture and image processing
@@ -8,12 +15,14 @@ export class ScreenManager {
      * @param {Object} config
      * @param {number} config.width - Target width for resizing captured images
      * @param {number} config.quality - JPEG quality (0-1)
+     * @param {Object} [config.changeDetection] - Skipping of unchanged frames, see getFrameChangeConfig()
      * @param {Function} [config.onStop] - Callback when screen sharing stops
      */
     constructor(config) {
         this.config = {
             width: config.width || 1280,
             quality: config.quality || 0.8,
+            changeDetection: config.changeDetection || { enabled: false },
             onStop: config.onStop
         };
         
@@ -24,6 +33,19 @@ export class ScreenManager {
         this.isInitialized = false;
         this.aspectRatio = null;
         this.previewContainer = null;
+        this.frameFilter = null;    // Skips unchanged frames, its counters stay readable after dispose()
+
+        // Region of interest: 'full' screen, a selected 'region' or a zoom window that follows the cursor
+        this.maxWidth = Number(this.config.width);
+        this.regionMode = 'full';
+        this.region = null;
+        this.surfaceKey = null;
+        this.regionOverlay = null;
+        this.cursorFollower = new CursorFollower();
+
+        // Areas blacked out on every frame before it is encoded, normalized like the region
+        this.redactions = [];
+        this.redactionIndicator = null;
     }
 
     /**
@@ -155,6 +177,8 @@ export class ScreenManager {
             this.canvas.width = canvasWidth;
             this.canvas.height = canvasHeight;
             this.ctx = this.canvas.getContext('2d');
+            this.frameFilter = new FrameFilter(this.config.changeDetection, this.previewContainer);
+            this.setupRegion();
 
             // Listen for the end of screen sharing
             this.stream.getVideoTracks()[0].addEventListener('ended', () => {
@@ -185,22 +209,210 @@ export class ScreenManager {
         };
     }
 
+    /**
+     * Changes the size and JPEG quality of the following frames, used by the adaptive capture controller
+     * @param {Object} encoding
+     * @param {number} encoding.width - Target width, the height follows the aspect ratio
+     * @param {number} encoding.quality - JPEG quality (0-1)
+     */
+    setEncoding(encoding) {
+        // The canvas is sized on the next capture, it depends on the region
+        applyEncoding(this.config, encoding);
+    }
+
+    /**
+     * Restores the region and redactions saved for the shared surface and adds the region overlay
+     * and the redaction indicator to the preview
+     * @private
+     */
+    setupRegion() {
+        this.surfaceKey = this.getSurfaceKey();
+        const saved = JSON.parse(localStorage.getItem(REGIONS_STORAGE_KEY) || '{}')[this.surfaceKey];
+        this.region = saved?.region || null;
+        this.regionMode = saved?.mode === 'follow' || (saved?.mode === 'region' && this.region) ? saved.mode : 'full';
+        this.redactions = saved?.redactions || [];
+        this.cursorFollower.reset();
+
+        if (this.previewContainer) {
+            this.regionOverlay = new ScreenRegionOverlay(this.previewContainer, this.videoElement, {
+                onSelect: (region) => this.setRegion(region),
+                onModeChange: (mode) => this.setRegionMode(mode),
+                onRedact: (rect) => this.addRedaction(rect),
+                onRemoveRedaction: (index) => this.removeRedaction(index)
+            });
+            this.regionOverlay.show(this.region || FULL_FRAME, this.regionMode);
+
+            this.redactionIndicator = document.createElement('div');
+            this.redactionIndicator.className = 'redaction-indicator';
+            this.previewContainer.appendChild(this.redactionIndicator);
+        }
+        this.updateRedactions();
+    }
+
+    /**
+     * Identifies the shared surface, regions are remembered separately for each.
+     * Monitors include their resolution so that each monitor keeps its own region.
+     * @returns {string} Key like 'monitor:3840x2160', 'window' or 'browser'
+     * @private
+     */
+    getSurfaceKey() {
+        const { displaySurface = 'monitor', width, height } = this.stream.getVideoTracks()[0].getSettings();
+        return displaySurface === 'monitor' ? `${displaySurface}:${width}x${height}` : displaySurface;
+    }
+
+    /**
+     * Captures only a region of the screen from now on
+     * @param {{x: number, y: number, width: number, height: number}} region - Normalized to the shared video (0-1)
+     */
+    setRegion(region) {
+        this.region = region;
+        this.setRegionMode('region');
+    }
+
+    /**
+     * Switches between the whole screen, the selected region and follow-cursor zoom, and saves the choice
+     * @param {'full'|'region'|'follow'} mode - Region mode, 'region' falls back to 'full' without a selection
+     */
+    setRegionMode(mode) {
+        this.regionMode = mode === 'region' && !this.region ? 'full' : mode;
+        this.cursorFollower.reset();
+        this.frameFilter?.reset();
+        this.regionOverlay?.show(this.regionMode === 'region' ? this.region : FULL_FRAME, this.regionMode);
+        console.info('Screen region', this.regionMode, this.regionMode === 'region' ? this.region : '');
+        this.saveRegionState();
+    }
+
+    /**
+     * Blacks out an area of the screen in all following frames
+     * @param {{x: number, y: number, width: number, height: number}} rect - Normalized to the shared video (0-1)
+     */
+    addRedaction(rect) {
+        this.redactions.push(rect);
+        this.updateRedactions();
+    }
+
+    /**
+     * @param {number} index - Index of the redaction in this.redactions
+     */
+    removeRedaction(index) {
+        this.redactions.splice(index, 1);
+        this.updateRedactions();
+    }
+
+    /**
+     * Shows the redactions in the preview, resends the next frame and saves them
+     * @private
+     */
+    updateRedactions() {
+        this.regionOverlay?.showRedactions(this.redactions);
+        if (this.redactionIndicator) {
+            const count = this.redactions.length;
+            this.redactionIndicator.textContent = `Redacting ${count} ${count === 1 ? 'area' : 'areas'}`;
+            this.redactionIndicator.classList.toggle('active', count > 0);
+        }
+        this.frameFilter?.reset();
+        this.saveRegionState();
+    }
+
+    /**
+     * Saves region mode, region and redactions for the shared surface
+     * @private
+     */
+    saveRegionState() {
+        if (!this.surfaceKey) return;
+        const regions = JSON.parse(localStorage.getItem(REGIONS_STORAGE_KEY) || '{}');
+        regions[this.surfaceKey] = { mode: this.regionMode, region: this.region, redactions: this.redactions };
+        localStorage.setItem(REGIONS_STORAGE_KEY, JSON.stringify(regions));
+    }
+
+    /**
+     * Fills the redacted areas on the canvas, which holds the source rectangle of the video
+     * @param {{x: number, y: number, width: number, height: number}} source - Source rectangle in video pixels
+     * @private
+     */
+    applyRedactions(source) {
+        if (!this.redactions.length) return;
+        const { videoWidth, videoHeight } = this.videoElement;
+        const scaleX = this.canvas.width / source.width;
+        const scaleY = this.canvas.height / source.height;
+        this.ctx.fillStyle = '#000';
+        for (const rect of this.redactions) {
+            // Round outwards so no partially covered pixel row stays readable
+            const left = Math.floor((rect.x * videoWidth - source.x) * scaleX);
+            const top = Math.floor((rect.y * videoHeight - source.y) * scaleY);
+            const right = Math.ceil(((rect.x + rect.width) * videoWidth - source.x) * scaleX);
+            const bottom = Math.ceil(((rect.y + rect.height) * videoHeight - source.y) * scaleY);
+            this.ctx.fillRect(left, top, right - left, bottom - top);
+        }
+    }
+
+    /**
+     * Part of the video to capture, in video pixels
+     * @returns {{x: number, y: number, width: number, height: number}} Source rectangle
+     * @private
+     */
+    getSourceRect() {
+        let region = FULL_FRAME;
+        if (this.regionMode === 'follow') {
+            region = this.cursorFollower.update(this.videoElement);
+            this.regionOverlay?.show(region, 'follow');
+        } else if (this.regionMode === 'region') {
+            region = this.region;
+        }
+        const { videoWidth, videoHeight } = this.videoElement;
+        return {
+            x: region.x * videoWidth,
+            y: region.y * videoHeight,
+            width: Math.max(1, region.width * videoWidth),
+            height: Math.max(1, region.height * videoHeight)
+        };
+    }
+
+    /**
+     * Sizes the canvas for a source rectangle. The full screen is scaled to the configured width,
+     * a region keeps its native resolution, reduced by the same factor as the adaptive width.
+     * @param {{width: number, height: number}} source - Source rectangle in video pixels
+     * @private
+     */
+    resizeCanvas(source) {
+        const width = this.regionMode === 'full'
+            ? Number(this.config.width)
+            : Math.min(source.width, MAX_REGION_WIDTH) * Math.min(1, Number(this.config.width) / this.maxWidth);
+        const canvasWidth = Math.max(1, Math.round(width));
+        const canvasHeight = Math.max(1, Math.round(canvasWidth * source.height / source.width));
+        if (this.canvas.width !== canvasWidth || this.canvas.height !== canvasHeight) {
+            this.canvas.width = canvasWidth;
+            this.canvas.height = canvasHeight;
+        }
+    }
+
     /**
      * Capture and process a screenshot
-     * @returns {Promise<string>} Base64 encoded JPEG image
+     * @returns {Promise<string|null>} Base64 encoded JPEG image, null if the frame did not change
      */
     async capture() {
         if (!this.isInitialized) {
             throw new Error('Screen capture not initialized. Call initialize() first.');
         }
 
-        // Draw current video frame to canvas, maintaining aspect ratio
+        // Draw the captured region of the current video frame to canvas, maintaining aspect ratio
+        const source = this.getSourceRect();
+        this.resizeCanvas(source);
         this.ctx.drawImage(
             this.videoElement,
+            source.x, source.y,
+            source.width, source.height,
             0, 0,
             this.canvas.width,
             this.canvas.height
         );
+        // Redact before anything reads the pixels
+        this.applyRedactions(source);
+
+        // Skip frames that look like the last sent one
+        if (!this.frameFilter.shouldSend(this.canvas)) {
+            return null;
+        }
 
         // Convert to base64 JPEG with specified quality
         return this.canvas.toDataURL('image/jpeg', this.config.quality).split(',')[1];
@@ -220,6 +432,11 @@ export class ScreenManager {
             this.videoElement = null;
         }
 
+        if (this.regionOverlay) {
+            this.regionOverlay.dispose();
+            this.regionOverlay = null;
+        }
+
         if (this.previewContainer) {
             this.hidePreview();
             this.previewContainer.innerHTML = ''; // Clear the preview container
@@ -228,6 +445,8 @@ export class ScreenManager {
 
         this.canvas = null;
         this.ctx = null;
+        this.redactionIndicator = null;
+        this.surfaceKey = null;
         this.isInitialized = false;
         this.aspectRatio = null;
     }
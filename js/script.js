@@ -1,7 +1,7 @@
 import { GeminiAgent } from './main/agent.js';
-import { getConfig, getWebsocketUrl, getDeepgramApiKey, MODEL_SAMPLE_RATE } from './config/config.js';
+import { getConfig, getWebsocketUrl, getDeepgramApiKey, getTranscriptionProvider, getTranscribeUsersSpeech, getWhisperConfig, getReconnectConfig, getSessionRecordingMode, getResponseMode, getMicMode, getVisualizerMode, getVadConfig, getAudioInputDeviceId, getAudioOutputDeviceId, getFrameChangeConfig, getAdaptiveCaptureConfig, getCameraBlurMode, MODEL_SAMPLE_RATE_OVERRIDE, DEFAULT_MODEL_SAMPLE_RATE } from './config/config.js';
 
-import { GoogleSearchTool } from './tools/google-search.js';
+import { CurrentTimeTool } from './tools/current-time.js';
 import { ToolManager } from './tools/tool-manager.js';
 import { ChatManager } from './chat/chat-manager.js';
 
@@ -11,8 +11,8 @@ const url = getWebsocketUrl();
 const config = getConfig();
 const deepgramApiKey = getDeepgramApiKey();
 
-const toolManager = new ToolManager();
-toolManager.registerTool('googleSearch', new GoogleSearchTool());
+const toolManager = new ToolManager({ coerceArgs: true });
+toolManager.registerTool('getCurrentTime', new CurrentTimeTool());
 
 const chatManager = new ChatManager();
 
@@ -20,13 +20,45 @@ const geminiAgent = new GeminiAgent({
     url,
     config,
     deepgramApiKey,
-    modelSampleRate: MODEL_SAMPLE_RATE,
+    transcriptionProvider: getTranscriptionProvider(),
+    transcribeUsersSpeech: getTranscribeUsersSpeech(),
+    whisper: getWhisperConfig(),
+    modelSampleRate: MODEL_SAMPLE_RATE_OVERRIDE ?? DEFAULT_MODEL_SAMPLE_RATE,
+    reconnect: getReconnectConfig(),
+    sessionRecording: getSessionRecordingMode(),
+    responseMode: getResponseMode(),
+    micMode: getMicMode(),
+    visualizerMode: getVisualizerMode(),
+    vad: getVadConfig(),
+    audioInputDeviceId: getAudioInputDeviceId(),
+    audioOutputDeviceId: getAudioOutputDeviceId(),
+    frameChangeDetection: getFrameChangeConfig(),
+    adaptiveCapture: getAdaptiveCaptureConfig(),
+    cameraBlur: getCameraBlurMode(),
     toolManager
 });
 
 // Handle chat-related events
-geminiAgent.on('transcription', (transcript) => {
-    chatManager.updateStreamingMessage(transcript);
+geminiAgent.on('transcription', (transcript, { source } = {}) => {
+    // Native transcription arrives in chunks that already carry their own spacing
+    chatManager.updateStreamingMessage(transcript, source === 'gemini' ? '' : ' ');
+});
+
+// Captions of the user's speech, interim hypotheses are shown greyed out until their final arrives
+geminiAgent.on('user_transcription', (transcript, { source } = {}) => {
+    chatManager.updateUserTranscript(transcript, { separator: source === 'gemini' ? '' : ' ' });
+});
+
+geminiAgent.on('user_transcription_interim', (transcript) => {
+    chatManager.updateUserTranscript(transcript, { interim: true });
+});
+
+geminiAgent.on('speech_start', () => {
+    chatManager.markUserSpeechStart();
+});
+
+geminiAgent.on('transmitting', (transmitting) => {
+    if (transmitting) chatManager.markUserSpeechStart();
 });
 
 geminiAgent.on('text_sent', (text) => {
@@ -45,6 +77,30 @@ geminiAgent.on('turn_complete', () => {
     chatManager.finalizeStreamingMessage();
 });
 
+geminiAgent.on('grounding', (metadata) => {
+    chatManager.addGrounding(metadata);
+});
+
+geminiAgent.on('executable_code', (executableCode) => {
+    chatManager.addExecutableCode(executableCode);
+});
+
+geminiAgent.on('code_execution_result', (result) => {
+    chatManager.addCodeExecutionResult(result);
+});
+
+// Replay controls for the cached audio of each model turn
+geminiAgent.on('turn_audio_start', (id) => {
+    chatManager.attachTurnAudio(id, {
+        loadAudio: (turnId) => geminiAgent.loadTurnAudio(turnId),
+        sinkId: getAudioOutputDeviceId()
+    });
+});
+
+geminiAgent.on('turn_audio_saved', (turn) => {
+    chatManager.markTurnAudioReady(turn);
+});
+
 geminiAgent.on('text', (text) => {
     console.log('text', text);
     chatManager.updateStreamingMessage(text);
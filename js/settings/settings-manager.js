@@ -1,4 +1,6 @@
 import { settingsTemplate } from './settings-template.js';
+import { getTranscriptionProvider, getTranscribeUsersSpeech, getWhisperConfig, getMicMode, getVisualizerMode, getVadConfig, getAudioInputDeviceId, getAudioOutputDeviceId, getSessionAudioExportFormat, getFrameChangeConfig, getAdaptiveCaptureConfig, getCameraBlurMode } from '../config/config.js';
+import { listAudioDevices, supportsOutputSelection } from '../audio/devices.js';
 
 class SettingsManager {
     constructor() {
@@ -32,9 +34,28 @@ class SettingsManager {
             overlay: this.overlay,
             apiKeyInput: this.dialog.querySelector('#apiKey'),
             deepgramApiKeyInput: this.dialog.querySelector('#deepgramApiKey'),
+            transcriptionProviderSelect: this.dialog.querySelector('#transcriptionProvider'),
+            transcribeUsersSpeechSelect: this.dialog.querySelector('#transcribeUsersSpeech'),
+            whisperUrlInput: this.dialog.querySelector('#whisperUrl'),
+            whisperModelInput: this.dialog.querySelector('#whisperModel'),
+            websocketUrlInput: this.dialog.querySelector('#websocketUrl'),
             voiceSelect: this.dialog.querySelector('#voice'),
+            audioInputDeviceSelect: this.dialog.querySelector('#audioInputDevice'),
+            audioOutputDeviceSelect: this.dialog.querySelector('#audioOutputDevice'),
+            sampleRateModeSelect: this.dialog.querySelector('#sampleRateMode'),
             sampleRateInput: this.dialog.querySelector('#sampleRate'),
             sampleRateValue: this.dialog.querySelector('#sampleRateValue'),
+            visualizerModeSelect: this.dialog.querySelector('#visualizerMode'),
+            micModeSelect: this.dialog.querySelector('#micMode'),
+            vadEnabledSelect: this.dialog.querySelector('#vadEnabled'),
+            vadThresholdInput: this.dialog.querySelector('#vadThreshold'),
+            vadThresholdValue: this.dialog.querySelector('#vadThresholdValue'),
+            vadZcrMaxInput: this.dialog.querySelector('#vadZcrMax'),
+            vadZcrMaxValue: this.dialog.querySelector('#vadZcrMaxValue'),
+            vadHangoverInput: this.dialog.querySelector('#vadHangover'),
+            vadHangoverValue: this.dialog.querySelector('#vadHangoverValue'),
+            vadPreRollInput: this.dialog.querySelector('#vadPreRoll'),
+            vadPreRollValue: this.dialog.querySelector('#vadPreRollValue'),
             systemInstructionsToggle: this.dialog.querySelector('#systemInstructionsToggle'),
             systemInstructionsContent: this.dialog.querySelector('#systemInstructions').parentElement,
             systemInstructionsInput: this.dialog.querySelector('#systemInstructions'),
@@ -46,14 +67,33 @@ class SettingsManager {
             resizeWidthValue: this.dialog.querySelector('#resizeWidthValue'),
             qualityInput: this.dialog.querySelector('#screenQuality'),
             qualityValue: this.dialog.querySelector('#qualityValue'),
+            cameraBlurSelect: this.dialog.querySelector('#cameraBlur'),
+            adaptiveCaptureSelect: this.dialog.querySelector('#adaptiveCapture'),
+            minFpsInput: this.dialog.querySelector('#minFps'),
+            minFpsValue: this.dialog.querySelector('#minFpsValue'),
+            minQualityInput: this.dialog.querySelector('#minQuality'),
+            minQualityValue: this.dialog.querySelector('#minQualityValue'),
+            minResizeWidthInput: this.dialog.querySelector('#minResizeWidth'),
+            minResizeWidthValue: this.dialog.querySelector('#minResizeWidthValue'),
+            frameChangeDetectionSelect: this.dialog.querySelector('#frameChangeDetection'),
+            keyframeIntervalInput: this.dialog.querySelector('#keyframeInterval'),
+            keyframeIntervalValue: this.dialog.querySelector('#keyframeIntervalValue'),
             advancedToggle: this.dialog.querySelector('#advancedToggle'),
             advancedContent: this.dialog.querySelector('#advancedToggle + .collapsible-content'),
+            googleSearchSelect: this.dialog.querySelector('#googleSearch'),
+            codeExecutionSelect: this.dialog.querySelector('#codeExecution'),
             temperatureInput: this.dialog.querySelector('#temperature'),
             temperatureValue: this.dialog.querySelector('#temperatureValue'),
             topPInput: this.dialog.querySelector('#topP'),
             topPValue: this.dialog.querySelector('#topPValue'),
             topKInput: this.dialog.querySelector('#topK'),
             topKValue: this.dialog.querySelector('#topKValue'),
+            reconnectAttemptsInput: this.dialog.querySelector('#reconnectAttempts'),
+            reconnectAttemptsValue: this.dialog.querySelector('#reconnectAttemptsValue'),
+            sessionRecordingSelect: this.dialog.querySelector('#sessionRecording'),
+            sessionAudioExportSelect: this.dialog.querySelector('#sessionAudioExport'),
+            downloadSessionLogBtn: this.dialog.querySelector('#downloadSessionLogBtn'),
+            replaySessionLogInput: this.dialog.querySelector('#replaySessionLog'),
             safetyToggle: this.dialog.querySelector('#safetyToggle'),
             safetyContent: this.dialog.querySelector('#safetyToggle + .collapsible-content'),
             harassmentInput: this.dialog.querySelector('#harassmentThreshold'),
@@ -108,14 +148,21 @@ class SettingsManager {
 
         // Add input listeners for real-time value updates
         const inputElements = [
-            'sampleRateInput', 'temperatureInput', 'topPInput', 'topKInput',
-            'fpsInput', 'resizeWidthInput', 'qualityInput', 'harassmentInput',
+            'sampleRateInput', 'vadThresholdInput', 'vadZcrMaxInput', 'vadHangoverInput', 'vadPreRollInput', 'temperatureInput', 'topPInput', 'topKInput', 'reconnectAttemptsInput',
+            'fpsInput', 'resizeWidthInput', 'qualityInput', 'minFpsInput', 'minQualityInput', 'minResizeWidthInput', 'keyframeIntervalInput', 'harassmentInput',
             'dangerousInput', 'sexualInput', 'civicInput'
         ];
 
         inputElements.forEach(elementName => {
             this.elements[elementName].addEventListener('input', () => this.updateDisplayValues());
         });
+        this.elements.sampleRateModeSelect.addEventListener('change', () => this.updateDisplayValues());
+        this.elements.transcriptionProviderSelect.addEventListener('change', () => this.updateDisplayValues());
+        this.elements.adaptiveCaptureSelect.addEventListener('change', () => this.updateDisplayValues());
+        this.elements.frameChangeDetectionSelect.addEventListener('change', () => this.updateDisplayValues());
+
+        // Keep the device lists current while devices are plugged in or removed
+        navigator.mediaDevices?.addEventListener('devicechange', () => this.populateAudioDevices());
     }
 
     switchTab(targetPanel) {
@@ -149,17 +196,47 @@ class SettingsManager {
         // Load values from localStorage
         this.elements.apiKeyInput.value = localStorage.getItem('apiKey') || '';
         this.elements.deepgramApiKeyInput.value = localStorage.getItem('deepgramApiKey') || '';
+        this.elements.transcriptionProviderSelect.value = getTranscriptionProvider();
+        this.elements.transcribeUsersSpeechSelect.value = String(getTranscribeUsersSpeech());
+        const whisper = getWhisperConfig();
+        this.elements.whisperUrlInput.value = whisper.url;
+        this.elements.whisperModelInput.value = whisper.model;
+        this.elements.websocketUrlInput.value = localStorage.getItem('websocketUrl') || '';
         this.elements.voiceSelect.value = localStorage.getItem('voiceName') || 'Aoede';
-        this.elements.sampleRateInput.value = localStorage.getItem('sampleRate') || '27000';
+        this.populateAudioDevices();
+        this.elements.sampleRateModeSelect.value = localStorage.getItem('sampleRateMode') || 'auto';
+        this.elements.sampleRateInput.value = localStorage.getItem('sampleRate') || '24000';
+        this.elements.visualizerModeSelect.value = getVisualizerMode();
+        this.elements.micModeSelect.value = getMicMode();
+        const vad = getVadConfig();
+        this.elements.vadEnabledSelect.value = String(vad.enabled);
+        this.elements.vadThresholdInput.value = vad.threshold;
+        this.elements.vadZcrMaxInput.value = vad.zcrMax;
+        this.elements.vadHangoverInput.value = vad.hangoverMs;
+        this.elements.vadPreRollInput.value = vad.preRollMs;
         this.elements.systemInstructionsInput.value = localStorage.getItem('systemInstructions') || 'You are a helpful assistant';
+        this.elements.googleSearchSelect.value = localStorage.getItem('googleSearch') || 'true';
+        this.elements.codeExecutionSelect.value = localStorage.getItem('codeExecution') || 'false';
         this.elements.temperatureInput.value = localStorage.getItem('temperature') || '1.8';
         this.elements.topPInput.value = localStorage.getItem('top_p') || '0.95';
         this.elements.topKInput.value = localStorage.getItem('top_k') || '65';
+        this.elements.reconnectAttemptsInput.value = localStorage.getItem('reconnectAttempts') || '5';
+        this.elements.sessionRecordingSelect.value = localStorage.getItem('sessionRecording') || 'off';
+        this.elements.sessionAudioExportSelect.value = getSessionAudioExportFormat();
 
         // Initialize screen & camera settings
         this.elements.fpsInput.value = localStorage.getItem('fps') || '1';
         this.elements.resizeWidthInput.value = localStorage.getItem('resizeWidth') || '640';
         this.elements.qualityInput.value = localStorage.getItem('quality') || '0.3';
+        this.elements.cameraBlurSelect.value = getCameraBlurMode();
+        const adaptiveCapture = getAdaptiveCaptureConfig();
+        this.elements.adaptiveCaptureSelect.value = String(adaptiveCapture.enabled);
+        this.elements.minFpsInput.value = adaptiveCapture.fps.min;
+        this.elements.minQualityInput.value = adaptiveCapture.quality.min;
+        this.elements.minResizeWidthInput.value = adaptiveCapture.width.min;
+        const frameChange = getFrameChangeConfig();
+        this.elements.frameChangeDetectionSelect.value = String(frameChange.enabled);
+        this.elements.keyframeIntervalInput.value = frameChange.keyframeIntervalMs / 1000;
 
         // Initialize safety settings
         this.elements.harassmentInput.value = localStorage.getItem('harassmentThreshold') || '3';
@@ -173,17 +250,44 @@ class SettingsManager {
     saveSettings() {
         localStorage.setItem('apiKey', this.elements.apiKeyInput.value);
         localStorage.setItem('deepgramApiKey', this.elements.deepgramApiKeyInput.value);
+        localStorage.setItem('transcriptionProvider', this.elements.transcriptionProviderSelect.value);
+        localStorage.setItem('transcribeUsersSpeech', this.elements.transcribeUsersSpeechSelect.value);
+        localStorage.setItem('whisperUrl', this.elements.whisperUrlInput.value.trim());
+        localStorage.setItem('whisperModel', this.elements.whisperModelInput.value.trim());
+        localStorage.setItem('websocketUrl', this.elements.websocketUrlInput.value.trim());
         localStorage.setItem('voiceName', this.elements.voiceSelect.value);
+        localStorage.setItem('audioInputDevice', this.elements.audioInputDeviceSelect.value);
+        localStorage.setItem('audioOutputDevice', this.elements.audioOutputDeviceSelect.value);
+        localStorage.setItem('sampleRateMode', this.elements.sampleRateModeSelect.value);
         localStorage.setItem('sampleRate', this.elements.sampleRateInput.value);
+        localStorage.setItem('visualizerMode', this.elements.visualizerModeSelect.value);
+        localStorage.setItem('micMode', this.elements.micModeSelect.value);
+        localStorage.setItem('vadEnabled', this.elements.vadEnabledSelect.value);
+        localStorage.setItem('vadThreshold', this.elements.vadThresholdInput.value);
+        localStorage.setItem('vadZcrMax', this.elements.vadZcrMaxInput.value);
+        localStorage.setItem('vadHangover', this.elements.vadHangoverInput.value);
+        localStorage.setItem('vadPreRoll', this.elements.vadPreRollInput.value);
         localStorage.setItem('systemInstructions', this.elements.systemInstructionsInput.value);
+        localStorage.setItem('googleSearch', this.elements.googleSearchSelect.value);
+        localStorage.setItem('codeExecution', this.elements.codeExecutionSelect.value);
         localStorage.setItem('temperature', this.elements.temperatureInput.value);
         localStorage.setItem('top_p', this.elements.topPInput.value);
         localStorage.setItem('top_k', this.elements.topKInput.value);
+        localStorage.setItem('reconnectAttempts', this.elements.reconnectAttemptsInput.value);
+        localStorage.setItem('sessionRecording', this.elements.sessionRecordingSelect.value);
+        localStorage.setItem('sessionAudioExport', this.elements.sessionAudioExportSelect.value);
         
         // Save screen & camera settings
         localStorage.setItem('fps', this.elements.fpsInput.value);
         localStorage.setItem('resizeWidth', this.elements.resizeWidthInput.value);
         localStorage.setItem('quality', this.elements.qualityInput.value);
+        localStorage.setItem('cameraBlur', this.elements.cameraBlurSelect.value);
+        localStorage.setItem('adaptiveCapture', this.elements.adaptiveCaptureSelect.value);
+        localStorage.setItem('minFps', this.elements.minFpsInput.value);
+        localStorage.setItem('minQuality', this.elements.minQualityInput.value);
+        localStorage.setItem('minResizeWidth', this.elements.minResizeWidthInput.value);
+        localStorage.setItem('frameChangeDetection', this.elements.frameChangeDetectionSelect.value);
+        localStorage.setItem('keyframeInterval', this.elements.keyframeIntervalInput.value);
 
         // Save safety settings
         localStorage.setItem('harassmentThreshold', this.elements.harassmentInput.value);
@@ -194,12 +298,30 @@ class SettingsManager {
 
     updateDisplayValues() {
         if (this.elements.sampleRateValue) this.elements.sampleRateValue.textContent = this.elements.sampleRateInput.value + ' Hz';
+        this.elements.sampleRateInput.disabled = this.elements.sampleRateModeSelect.value !== 'manual';
+        const usesWhisper = this.elements.transcriptionProviderSelect.value === 'whisper';
+        this.elements.whisperUrlInput.disabled = !usesWhisper;
+        this.elements.whisperModelInput.disabled = !usesWhisper;
+        if (this.elements.vadThresholdValue) this.elements.vadThresholdValue.textContent = this.elements.vadThresholdInput.value + ' dBFS';
+        if (this.elements.vadZcrMaxValue) this.elements.vadZcrMaxValue.textContent = this.elements.vadZcrMaxInput.value;
+        if (this.elements.vadHangoverValue) this.elements.vadHangoverValue.textContent = this.elements.vadHangoverInput.value + ' ms';
+        if (this.elements.vadPreRollValue) this.elements.vadPreRollValue.textContent = this.elements.vadPreRollInput.value + ' ms';
         if (this.elements.temperatureValue) this.elements.temperatureValue.textContent = this.elements.temperatureInput.value;
         if (this.elements.topPValue) this.elements.topPValue.textContent = this.elements.topPInput.value;
         if (this.elements.topKValue) this.elements.topKValue.textContent = this.elements.topKInput.value;
+        if (this.elements.reconnectAttemptsValue) this.elements.reconnectAttemptsValue.textContent = this.elements.reconnectAttemptsInput.value === '0' ? 'Off' : this.elements.reconnectAttemptsInput.value;
         if (this.elements.fpsValue) this.elements.fpsValue.textContent = this.elements.fpsInput.value + ' FPS';
         if (this.elements.resizeWidthValue) this.elements.resizeWidthValue.textContent = this.elements.resizeWidthInput.value + 'px';
         if (this.elements.qualityValue) this.elements.qualityValue.textContent = this.elements.qualityInput.value;
+        this.elements.minFpsValue.textContent = this.elements.minFpsInput.value + ' FPS';
+        this.elements.minQualityValue.textContent = this.elements.minQualityInput.value;
+        this.elements.minResizeWidthValue.textContent = this.elements.minResizeWidthInput.value + 'px';
+        const isAdaptive = this.elements.adaptiveCaptureSelect.value === 'true';
+        this.elements.minFpsInput.disabled = !isAdaptive;
+        this.elements.minQualityInput.disabled = !isAdaptive;
+        this.elements.minResizeWidthInput.disabled = !isAdaptive;
+        this.elements.keyframeIntervalValue.textContent = this.elements.keyframeIntervalInput.value + ' s';
+        this.elements.keyframeIntervalInput.disabled = this.elements.frameChangeDetectionSelect.value !== 'true';
         if (this.elements.harassmentValue) this.elements.harassmentValue.textContent = this.getThresholdLabel(this.elements.harassmentInput.value);
         if (this.elements.dangerousValue) this.elements.dangerousValue.textContent = this.getThresholdLabel(this.elements.dangerousInput.value);
         if (this.elements.sexualValue) this.elements.sexualValue.textContent = this.getThresholdLabel(this.elements.sexualInput.value);
@@ -222,7 +344,51 @@ class SettingsManager {
         toggle.textContent = toggle.textContent.replace(isActive ? '▼' : '▲', isActive ? '▲' : '▼');
     }
 
+    /**
+     * Fills the microphone and speaker selects from enumerateDevices(), keeping the current choice
+     * A saved device that is not connected stays selectable so that unplugging it does not reset the setting
+     */
+    async populateAudioDevices() {
+        let devices;
+        try {
+            devices = await listAudioDevices();
+        } catch (error) {
+            console.error('Failed to list audio devices:', error);
+            return;
+        }
+
+        const fill = (select, list, savedId) => {
+            const selected = select.options.length > 1 ? select.value : savedId;
+            select.innerHTML = '<option value="">System default</option>';
+            list.filter((device) => device.deviceId !== 'default').forEach((device) => {
+                select.add(new Option(device.label, device.deviceId));
+            });
+            if (selected && !list.some((device) => device.deviceId === selected)) {
+                select.add(new Option('Saved device (not connected)', selected));
+            }
+            select.value = selected;
+        };
+
+        fill(this.elements.audioInputDeviceSelect, devices.inputs, getAudioInputDeviceId());
+        fill(this.elements.audioOutputDeviceSelect, devices.outputs, getAudioOutputDeviceId());
+
+        if (!supportsOutputSelection()) {
+            this.elements.audioOutputDeviceSelect.disabled = true;
+            this.elements.audioOutputDeviceSelect.title = 'Selecting a speaker is not supported in this browser';
+        }
+    }
+
+    /**
+     * Shows the microphone in use on the picker, e.g. after the recorder moved to a device that was plugged in
+     * @param {{deviceId: string, label: string}|null} device - Microphone the recorder captures from
+     */
+    showActiveAudioInput(device) {
+        this.elements.audioInputDeviceSelect.title = device ? `In use: ${device.label || 'Unnamed microphone'}` : '';
+        this.populateAudioDevices();
+    }
+
     show() {
+        this.populateAudioDevices();
         this.dialog.classList.add('active');
         this.overlay.classList.add('active');
     }
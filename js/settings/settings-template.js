@@ -20,10 +20,51 @@ export const settingsTemplate = `
             <label for="deepgramApiKey">Deepgram API Key (Optional)</label>
             <input type="password" id="deepgramApiKey" placeholder="Enter your Deepgram API key">
         </div>
+        <div class="settings-group">
+            <label for="transcriptionProvider">Speech Transcription</label>
+            <select id="transcriptionProvider">
+                <option value="gemini">Gemini (native)</option>
+                <option value="deepgram">Deepgram (requires API key)</option>
+                <option value="webspeech">Browser speech recognition (your speech only)</option>
+                <option value="whisper">Whisper server (self-hosted)</option>
+                <option value="none">None</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <label for="transcribeUsersSpeech">Transcribe My Speech</label>
+            <select id="transcribeUsersSpeech">
+                <option value="true">On (show what you said in the chat)</option>
+                <option value="false">Off</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <label for="whisperUrl">Whisper Server URL</label>
+            <input type="text" id="whisperUrl" placeholder="e.g. http://localhost:8000/v1/audio/transcriptions or ws://localhost:9090">
+        </div>
+        <div class="settings-group">
+            <label for="whisperModel">Whisper Model</label>
+            <input type="text" id="whisperModel" placeholder="whisper-1">
+        </div>
+        <div class="settings-group">
+            <label for="websocketUrl">Custom WebSocket URL (Optional)</label>
+            <input type="text" id="websocketUrl" placeholder="e.g. ws://localhost:8765 for the mock server">
+        </div>
     </div>
 
     <!-- Audio Settings Panel -->
     <div class="settings-panel" data-panel="audio">
+        <div class="settings-group">
+            <label for="audioInputDevice">Microphone</label>
+            <select id="audioInputDevice">
+                <option value="">System default</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <label for="audioOutputDevice">Speaker</label>
+            <select id="audioOutputDevice">
+                <option value="">System default</option>
+            </select>
+        </div>
         <div class="settings-group">
             <label for="voice">Voice</label>
             <select id="voice">
@@ -35,10 +76,59 @@ export const settingsTemplate = `
             </select>
         </div>
         <div class="settings-group">
-            <label for="sampleRate">Sample Rate</label>
+            <label for="sampleRateMode">Playback Sample Rate</label>
+            <select id="sampleRateMode">
+                <option value="auto">Automatic (from the model's audio)</option>
+                <option value="manual">Manual override</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <label for="sampleRate">Sample Rate Override</label>
             <input type="range" id="sampleRate" min="8000" max="48000" step="1000">
             <span id="sampleRateValue"></span>
         </div>
+        <div class="settings-group">
+            <label for="visualizerMode">Visualizer Style</label>
+            <select id="visualizerMode">
+                <option value="waveform">Waveform</option>
+                <option value="bars">Frequency bars</option>
+                <option value="orb">Radial orb</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <label for="micMode">Microphone Mode</label>
+            <select id="micMode">
+                <option value="continuous">Continuous (automatic turn detection)</option>
+                <option value="push-to-talk">Push-to-talk (hold mic button or Space)</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <label for="vadEnabled">Voice Activity Detection</label>
+            <select id="vadEnabled">
+                <option value="true">On (send only speech)</option>
+                <option value="false">Off (send all audio)</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <label for="vadThreshold">Speech Threshold</label>
+            <input type="range" id="vadThreshold" min="-80" max="-20" step="1">
+            <span id="vadThresholdValue"></span>
+        </div>
+        <div class="settings-group">
+            <label for="vadZcrMax">Max Zero-Crossing Rate (noise rejection)</label>
+            <input type="range" id="vadZcrMax" min="0.1" max="1" step="0.05">
+            <span id="vadZcrMaxValue"></span>
+        </div>
+        <div class="settings-group">
+            <label for="vadHangover">Silence Hangover</label>
+            <input type="range" id="vadHangover" min="100" max="2000" step="100">
+            <span id="vadHangoverValue"></span>
+        </div>
+        <div class="settings-group">
+            <label for="vadPreRoll">Pre-roll</label>
+            <input type="range" id="vadPreRoll" min="0" max="1000" step="50">
+            <span id="vadPreRollValue"></span>
+        </div>
     </div>
 
     <!-- Camera Settings Panel -->
@@ -53,6 +143,14 @@ export const settingsTemplate = `
             <input type="range" id="cameraQuality" min="0.1" max="1" step="0.1">
             <span id="cameraQualityValue"></span>
         </div>
+        <div class="settings-group">
+            <label for="cameraBlur">Blur Before Sending</label>
+            <select id="cameraBlur">
+                <option value="off">Off</option>
+                <option value="face">Faces (whole frame when no face is detected)</option>
+                <option value="background">Background</option>
+            </select>
+        </div>
     </div>
 
     <!-- Screen Settings Panel -->
@@ -72,6 +170,40 @@ export const settingsTemplate = `
             <input type="range" id="resizeWidth" min="640" max="1920" step="80">
             <span id="resizeWidthValue"></span>
         </div>
+        <div class="settings-group">
+            <label for="adaptiveCapture">Adapt to Connection (lowers FPS, width and quality when the upload backs up)</label>
+            <select id="adaptiveCapture">
+                <option value="true">On</option>
+                <option value="false">Off (always use the values above)</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <label for="minFps">Minimum FPS</label>
+            <input type="range" id="minFps" min="0.5" max="10" step="0.5">
+            <span id="minFpsValue"></span>
+        </div>
+        <div class="settings-group">
+            <label for="minQuality">Minimum Quality</label>
+            <input type="range" id="minQuality" min="0.1" max="1" step="0.1">
+            <span id="minQualityValue"></span>
+        </div>
+        <div class="settings-group">
+            <label for="minResizeWidth">Minimum Width</label>
+            <input type="range" id="minResizeWidth" min="320" max="1920" step="80">
+            <span id="minResizeWidthValue"></span>
+        </div>
+        <div class="settings-group">
+            <label for="frameChangeDetection">Skip Unchanged Frames (camera & screen)</label>
+            <select id="frameChangeDetection">
+                <option value="true">On</option>
+                <option value="false">Off (send every frame)</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <label for="keyframeInterval">Force a Frame Every</label>
+            <input type="range" id="keyframeInterval" min="2" max="60" step="1">
+            <span id="keyframeIntervalValue"></span>
+        </div>
     </div>
 
     <!-- System Prompt Panel -->
@@ -84,6 +216,20 @@ export const settingsTemplate = `
 
     <!-- Advanced Settings Panel -->
     <div class="settings-panel" data-panel="advanced">
+        <div class="settings-group">
+            <label for="googleSearch">Google Search Grounding</label>
+            <select id="googleSearch">
+                <option value="true">On</option>
+                <option value="false">Off</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <label for="codeExecution">Code Execution</label>
+            <select id="codeExecution">
+                <option value="false">Off</option>
+                <option value="true">On</option>
+            </select>
+        </div>
         <div class="settings-group">
             <label for="temperature">Temperature (0-2)</label>
             <input type="range" id="temperature" min="0" max="2" step="0.1">
@@ -99,6 +245,33 @@ export const settingsTemplate = `
             <input type="range" id="topK" min="1" max="100" step="1">
             <span id="topKValue"></span>
         </div>
+        <div class="settings-group">
+            <label for="reconnectAttempts">Reconnect Attempts (0-10)</label>
+            <input type="range" id="reconnectAttempts" min="0" max="10" step="1">
+            <span id="reconnectAttemptsValue"></span>
+        </div>
+        <div class="settings-group">
+            <label for="sessionRecording">Record Session Traffic</label>
+            <select id="sessionRecording">
+                <option value="off">Off</option>
+                <option value="hashed">On (media replaced by hashes)</option>
+                <option value="full">On (including the first 100 MB of media)</option>
+            </select>
+        </div>
+        <div class="settings-group">
+            <button id="downloadSessionLogBtn" class="settings-action-btn">Download Session Log</button>
+        </div>
+        <div class="settings-group">
+            <label for="replaySessionLog">Replay Session Log</label>
+            <input type="file" id="replaySessionLog" accept=".jsonl,application/x-ndjson">
+        </div>
+        <div class="settings-group">
+            <label for="sessionAudioExport">Session Audio Export</label>
+            <select id="sessionAudioExport">
+                <option value="stereo">Stereo WAV (user left, model right)</option>
+                <option value="separate">Separate WAV per side</option>
+            </select>
+        </div>
     </div>
 
     <!-- Safety Settings Panel -->
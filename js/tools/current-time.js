@@ -0,0 +1,54 @@
+/**
+ * Tells the model the user's current date and time, which it cannot know on its own.
+ * Runs locally, the time zone defaults to the one of the browser.
+ */
+export class CurrentTimeTool {
+
+    getDeclaration() {
+        return {
+            name: 'getCurrentTime',
+            description: 'Returns the current date and time, in the user\'s time zone unless another one is given.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    timeZone: {
+                        type: 'STRING',
+                        description: 'IANA time zone, e.g. "Europe/Berlin" or "America/New_York". Omit for the user\'s time zone.'
+                    },
+                    hour12: {
+                        type: 'BOOLEAN',
+                        description: 'Use a 12-hour clock instead of a 24-hour clock'
+                    },
+                    style: {
+                        type: 'STRING',
+                        enum: ['short', 'medium', 'long', 'full'],
+                        description: 'How detailed the formatted date and time are'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * @param {Object} args - Validated arguments of the declaration
+     * @param {string} [args.timeZone] - IANA time zone
+     * @param {boolean} [args.hour12] - 12-hour clock
+     * @param {'short'|'medium'|'long'|'full'} [args.style='full'] - Detail of the formatted value
+     * @returns {{iso: string, formatted: string, timeZone: string}} Current time
+     */
+    execute({ timeZone, hour12, style = 'full' }) {
+        const now = new Date();
+        let format;
+        try {
+            format = new Intl.DateTimeFormat(navigator.language, { dateStyle: style, timeStyle: style, timeZone, hour12 });
+        } catch (error) {
+            // Reported back to the model as EXECUTION_FAILED, so it can retry with a valid zone
+            throw new Error(`Unknown time zone "${timeZone}"`);
+        }
+        return {
+            iso: now.toISOString(),
+            formatted: format.format(now),
+            timeZone: format.resolvedOptions().timeZone
+        };
+    }
+}
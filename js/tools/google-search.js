@@ -1,12 +0,0 @@
-export class GoogleSearchTool {
-    
-    getDeclaration() {
-        return { 
-            name: 'googleSearch',
-        };
-    }
-
-    execute(args) {
-        return;
-    }
-}
\ No newline at end of file
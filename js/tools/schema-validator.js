@@ -0,0 +1,180 @@
+/**
+ * Validation of function call arguments against the parameter schemas of tool declarations.
+ * Supports the OpenAPI schema subset used by Gemini function declarations
+ * (type, properties, required, items, enum, nullable and the usual min/max bounds).
+ * Type names are accepted in any case, e.g. 'STRING' or 'string'.
+ */
+
+/**
+ * Returns the JSON type name of a value as used in schemas.
+ * @param {*} value - Value to inspect
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Tries to convert common type mismatches of model output, e.g. "42" for an integer
+ * or a single value where an array is expected.
+ * @param {*} value - Value to convert
+ * @param {string} type - Expected lowercase schema type
+ * @returns {{ok: boolean, value: *}} Converted value if the conversion was possible
+ */
+function coerce(value, type) {
+    switch (type) {
+        case 'integer':
+        case 'number':
+            if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+                const number = Number(value);
+                if (type === 'number' || Number.isInteger(number)) return { ok: true, value: number };
+            }
+            if (typeof value === 'boolean') return { ok: true, value: value ? 1 : 0 };
+            break;
+        case 'boolean':
+            if (value === 'true' || value === 'false') return { ok: true, value: value === 'true' };
+            if (value === 0 || value === 1) return { ok: true, value: value === 1 };
+            break;
+        case 'string':
+            if (typeof value === 'number' || typeof value === 'boolean') return { ok: true, value: String(value) };
+            break;
+        case 'array':
+            if (value !== undefined && value !== null) return { ok: true, value: [value] };
+            break;
+        case 'object':
+            if (typeof value === 'string') {
+                try {
+                    const parsed = JSON.parse(value);
+                    if (typeOf(parsed) === 'object') return { ok: true, value: parsed };
+                } catch (error) {
+                    // Not JSON, fall through
+                }
+            }
+            break;
+    }
+    return { ok: false, value };
+}
+
+/**
+ * Validates a value against a schema, collecting all errors.
+ * @param {Object} schema - Parameter schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value for error messages, e.g. 'args.location.city'
+ * @param {Array<Object>} errors - Collected errors of the form { path, message }
+ * @param {boolean} allowCoercion - Whether to convert common type mismatches
+ * @returns {*} The value, converted where coercion applied
+ */
+function validateValue(schema, value, path, errors, allowCoercion) {
+    if (!schema) return value;
+
+    if (value === null && schema.nullable) {
+        return value;
+    }
+
+    const type = schema.type?.toLowerCase();
+    if (type) {
+        const actual = typeOf(value);
+        const matches = actual === type || (type === 'number' && actual === 'integer');
+        if (!matches) {
+            const converted = allowCoercion ? coerce(value, type) : { ok: false };
+            if (!converted.ok) {
+                errors.push({ path, message: `expected ${type}, got ${actual}` });
+                return value;
+            }
+            value = converted.value;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value = value.map((item, index) => validateValue(schema.items, item, `${path}[${index}]`, errors, allowCoercion));
+        }
+    }
+
+    if (typeOf(value) === 'object' && (schema.properties || schema.required)) {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        });
+
+        const result = { ...value };
+        Object.entries(properties).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                result[key] = validateValue(propertySchema, value[key], `${path}.${key}`, errors, allowCoercion);
+            }
+        });
+        value = result;
+    }
+
+    return value;
+}
+
+/**
+ * Validates function call arguments against the `parameters` schema of a declaration.
+ * @param {Object} schema - The `parameters` schema, an object schema
+ * @param {Object} args - Arguments sent by the model
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce=false] - Convert common type mismatches instead of rejecting them
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, value: Object}} Result with the (possibly converted) arguments
+ */
+export function validateArgs(schema, args, { coerce = false } = {}) {
+    const errors = [];
+    const value = validateValue(schema, args ?? {}, 'args', errors, coerce);
+    return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Checks a function declaration for the fields the Live API needs.
+ * @param {Object} declaration - Declaration returned by a tool's getDeclaration()
+ * @returns {Array<string>} Problems found, empty if the declaration is usable
+ */
+export function checkDeclaration(declaration) {
+    const problems = [];
+    if (!declaration || typeof declaration.name !== 'string' || !declaration.name) {
+        problems.push('missing name');
+        return problems;
+    }
+    if (!/^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/.test(declaration.name)) {
+        problems.push(`invalid name "${declaration.name}"`);
+    }
+    if (!declaration.description) {
+        problems.push('missing description');
+    }
+    if (declaration.parameters && declaration.parameters.type?.toLowerCase() !== 'object') {
+        problems.push('parameters must be an object schema');
+    }
+    return problems;
+}
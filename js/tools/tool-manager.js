@@ -1,14 +1,26 @@
 /**
  * Managing class where tools can be registered for easier use
  * Each tool must implement execute() and getDeclaration() methods.
+ * getDeclaration() returns { name, description, parameters } where parameters is an object schema;
+ * incoming arguments are validated against it before execute() is called.
+ * execute(args, { signal }) receives an AbortSignal that fires when the call times out
+ * or is cancelled by the server. A tool may set a `timeout` property (ms) to override the default.
+ * Failures are sent back to the model as structured errors: { code, message, ...details }.
  */
+import { validateArgs, checkDeclaration } from './schema-validator.js';
 
 export class ToolManager {
     /**
      * Initializes a new ToolManager instance for getting registering, getting declarations, and executing tools.
+     * @param {Object} [options]
+     * @param {number} [options.defaultTimeout=10000] - Time in ms after which a tool execution is aborted
+     * @param {boolean} [options.coerceArgs=false] - Convert common argument type mismatches (e.g. "42" for a number) instead of rejecting the call
      */
-    constructor() {
+    constructor({ defaultTimeout = 10000, coerceArgs = false } = {}) {
         this.tools = new Map();
+        this.defaultTimeout = defaultTimeout;
+        this.coerceArgs = coerceArgs;
+        this.pendingCalls = new Map();  // Call id -> AbortController of in-flight executions
     }
 
     /**
@@ -32,42 +44,149 @@ export class ToolManager {
     getToolDeclarations() {
         const allDeclarations = [];
         
-        this.tools.forEach((tool) => {
+        this.tools.forEach((tool, name) => {
             if (tool.getDeclaration) {
-                allDeclarations.push(tool.getDeclaration());
+                const declaration = tool.getDeclaration();
+                const problems = checkDeclaration(declaration);
+                if (!declaration?.name) {
+                    console.warn(`Tool ${name} has no usable declaration, skipping it`);
+                    return;
+                }
+                if (problems.length) {
+                    console.warn(`Declaration of tool ${name} has problems: ${problems.join(', ')}`);
+                }
+                allDeclarations.push(declaration);
             } else {
-                console.warn(`Tool ${tool.name} does not have a getDeclaration method`);
+                console.warn(`Tool ${name} does not have a getDeclaration method`);
             }
         });
 
         return allDeclarations;
     }
 
+    /**
+     * Runs all function calls of one toolCall message concurrently.
+     * Calls cancelled by the server while running are left out of the result.
+     * @param {Array<Object>} functionCalls - Function call specifications
+     * @returns {Promise<Array<Object>>} Responses of the calls that were not cancelled
+     */
+    async handleToolCalls(functionCalls) {
+        const responses = await Promise.all(functionCalls.map((functionCall) => this.handleToolCall(functionCall)));
+        return responses.filter((response) => !response.cancelled);
+    }
+
     /**
      * Parses tool arguments and runs execute() method of the requested tool.
+     * The execution is aborted if it takes longer than the tool's timeout or is cancelled.
      * @param {Object} functionCall - Function call specification
+     * @returns {Promise<Object>} Response with output or error, flagged `cancelled` if the server cancelled the call
      */
     async handleToolCall(functionCall) {
         const { name, args, id } = functionCall;
         console.info(`Handling tool call: ${name}`, { args });
 
         const tool = this.tools.get(name);
+        if (!tool) {
+            console.error(`Unknown tool called: ${name}`);
+            return this.errorResponse(id, name, {
+                code: 'UNKNOWN_TOOL',
+                message: `There is no tool named "${name}"`,
+                availableTools: Array.from(this.tools.keys())
+            });
+        }
+
+        // Validate the arguments against the declared parameter schema
+        let validArgs = args;
+        const parameters = tool.getDeclaration?.()?.parameters;
+        if (parameters) {
+            const validation = validateArgs(parameters, args, { coerce: this.coerceArgs });
+            if (!validation.valid) {
+                console.error(`Invalid arguments for tool ${name}`, validation.errors);
+                return this.errorResponse(id, name, {
+                    code: 'INVALID_ARGUMENTS',
+                    message: `Invalid arguments for "${name}": ` + validation.errors.map((e) => `${e.path} ${e.message}`).join('; '),
+                    errors: validation.errors
+                });
+            }
+            validArgs = validation.value;
+        }
+
+        const controller = new AbortController();
+        this.pendingCalls.set(id, controller);
+
+        const timeout = tool.timeout || this.defaultTimeout;
+        let timer = null;
+        const timeoutPromise = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Tool ${name} timed out after ${timeout}ms`);
+                error.name = 'TimeoutError';
+                controller.abort(error);
+                reject(error);
+            }, timeout);
+        });
+        const abortPromise = new Promise((_, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+        });
+
         try {
-            const result = await tool.execute(args);
+            const result = await Promise.race([
+                tool.execute(validArgs, { signal: controller.signal }),
+                timeoutPromise,
+                abortPromise
+            ]);
             return {
                 output: result,
                 id: id,
+                name: name,
                 error: null
             }
 
         } catch (error) {
+            const reason = controller.signal.reason;
+            if (reason?.name === 'AbortError') {
+                console.info(`Tool call cancelled: ${name}`);
+                return { ...this.errorResponse(id, name, { code: 'CANCELLED', message: reason.message }), cancelled: true };
+            }
+
             console.error(`Tool execution failed: ${name}`, error);
-            return {
-                output: null,
-                id: id,
-                error: error.message
-            };
+            return this.errorResponse(id, name, {
+                code: reason?.name === 'TimeoutError' ? 'TIMEOUT' : 'EXECUTION_FAILED',
+                message: error.message
+            });
+        } finally {
+            clearTimeout(timer);
+            this.pendingCalls.delete(id);
         }
     }
 
+    /**
+     * Builds a failed tool response.
+     * @param {string} id - Function call id
+     * @param {string} name - Function name
+     * @param {{code: string, message: string}} error - Structured error for the model
+     * @returns {Object} Tool response
+     * @private
+     */
+    errorResponse(id, name, error) {
+        return {
+            output: null,
+            id: id,
+            name: name,
+            error
+        };
+    }
+
+    /**
+     * Aborts in-flight executions, e.g. when the server sends a toolCallCancellation.
+     * @param {Array<string>} ids - Ids of the function calls to cancel
+     */
+    cancelToolCalls(ids) {
+        ids.forEach((id) => {
+            const controller = this.pendingCalls.get(id);
+            if (controller) {
+                controller.abort(new DOMException(`Tool call ${id} was cancelled`, 'AbortError'));
+            }
+        });
+    }
+
 }
\ No newline at end of file
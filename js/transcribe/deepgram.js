@@ -1,31 +1,35 @@
+import { Transcriber } from './transcriber.js';
+
+// Deepgram closes idle streams after 10 seconds without audio
+const KEEP_ALIVE_INTERVAL_MS = 10000;
+
 /**
  * Establishes a websocket connection to Deepgram API
  * for real-time audio transcription
  * Utilizes Free Tier of Deepgram API
  */
-export class DeepgramTranscriber {
+export class DeepgramTranscriber extends Transcriber {
     constructor(apiKey, sampleRate) {
+        super(sampleRate);
         this.apiKey = apiKey;
         this.ws = null;
-        this.isConnected = false;
-        this.eventListeners = new Map();
-        this.sampleRate = sampleRate;
+        this.keepAliveInterval = null;
         console.info('DeepgramTranscriber initialized');
     }
 
     async connect() {
-        try {
-            const url = `wss://api.deepgram.com/v1/listen?encoding=linear16&sample_rate=${this.sampleRate}`;
-            console.info('Attempting to connect to Deepgram WebSocket...');
-            
-            // Create WebSocket with authorization in protocol
-            this.ws = new WebSocket(url, ['token', this.apiKey]);
-            this.ws.binaryType = 'arraybuffer';
+        const url = `wss://api.deepgram.com/v1/listen?encoding=linear16&sample_rate=${this.sampleRate}`;
+        console.info('Attempting to connect to Deepgram WebSocket...');
+
+        // Create WebSocket with authorization in protocol
+        this.ws = new WebSocket(url, ['token', this.apiKey]);
+        this.ws.binaryType = 'arraybuffer';
 
+        await new Promise((resolve, reject) => {
             this.ws.onopen = () => {
                 this.isConnected = true;
                 console.info('WebSocket connection established');
-                
+
                 const config = {
                     type: 'Configure',
                     features: {
@@ -34,35 +38,28 @@ export class DeepgramTranscriber {
                         encoding: 'linear16',
                         sample_rate: this.sampleRate,
                         channels: 1,
-                        interim_results: false,
+                        interim_results: true,
                         punctuate: true,
                         endpointing: 800
                     },
                 };
-                
+
                 console.debug('Sending configuration:', config);
                 this.ws.send(JSON.stringify(config));
+                this.startKeepAlive();
                 this.emit('connected');
+                resolve();
             };
 
             this.ws.onmessage = (event) => {
                 try {
-                    // console.debug('Received WebSocket message:', event.data);
                     const response = JSON.parse(event.data);
                     if (response.type === 'Results') {
                         const transcript = response.channel?.alternatives[0]?.transcript;
-
                         if (transcript) {
-                            // console.debug('Received transcript:', transcript);
-                            this.emit('transcription', transcript);
-                        } else {
-                            // console.warn('Received Results message but no transcript found:', response);
+                            this.emit(response.is_final === false ? 'interim' : 'transcription', transcript);
                         }
-
-                    } else {
-                        // console.debug('Received non-Results message:', response.type);
                     }
-
                 } catch (error) {
                     console.error('Error processing WebSocket message:', error);
                     this.emit('error', error);
@@ -72,17 +69,41 @@ export class DeepgramTranscriber {
             this.ws.onerror = (error) => {
                 console.error('WebSocket error:', error);
                 this.emit('error', error);
+                if (!this.isConnected) {
+                    reject(new Error('Failed to connect to Deepgram'));
+                }
             };
 
             this.ws.onclose = () => {
                 console.info('WebSocket connection closed');
+                this.stopKeepAlive();
                 this.isConnected = false;
                 this.emit('disconnected');
             };
+        });
+    }
+
+    /**
+     * Keeps the stream open while nobody speaks
+     * @private
+     */
+    startKeepAlive() {
+        this.stopKeepAlive();
+        this.keepAliveInterval = setInterval(() => {
+            if (this.isConnected) {
+                this.ws.send(JSON.stringify({ type: 'KeepAlive' }));
+                console.info('Sent keep-alive message to Deepgram');
+            }
+        }, KEEP_ALIVE_INTERVAL_MS);
+    }
 
-        } catch (error) {
-            console.error('Error in connect():', error);
-            throw error;
+    /**
+     * @private
+     */
+    stopKeepAlive() {
+        if (this.keepAliveInterval) {
+            clearInterval(this.keepAliveInterval);
+            this.keepAliveInterval = null;
         }
     }
 
@@ -94,25 +115,14 @@ export class DeepgramTranscriber {
     }
 
     disconnect() {
+        this.stopKeepAlive();
         if (this.ws) {
-            this.ws.send(JSON.stringify({ type: 'CloseStream' }));
+            if (this.ws.readyState === WebSocket.OPEN) {
+                this.ws.send(JSON.stringify({ type: 'CloseStream' }));
+            }
             this.ws.close();
             this.ws = null;
             this.isConnected = false;
         }
     }
-
-    on(eventName, callback) {
-        if (!this.eventListeners.has(eventName)) {
-            this.eventListeners.set(eventName, []);
-        }
-        this.eventListeners.get(eventName).push(callback);
-    }
-
-    emit(eventName, data) {
-        const listeners = this.eventListeners.get(eventName);
-        if (listeners) {
-            listeners.forEach(callback => callback(data));
-        }
-    }
-}
\ No newline at end of file
+}
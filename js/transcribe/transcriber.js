@@ -0,0 +1,63 @@
+import { EventEmitter } from '../utils/event-emitter.js';
+
+/**
+ * Transcriber is the interface of the speech-to-text services used next to the Live API.
+ * Adapters receive PCM16 mono audio at the sample rate they were created with and emit:
+ * - 'connected' once audio can be sent
+ * - 'transcription' (text) for final text of a segment
+ * - 'interim' (text) for a hypothesis of the current segment, replaced by the next interim or the final
+ * - 'error' (error) and 'disconnected'
+ */
+export class Transcriber extends EventEmitter {
+    /**
+     * @param {number} sampleRate - Rate of the audio passed to sendAudio()
+     */
+    constructor(sampleRate) {
+        super();
+        this.sampleRate = sampleRate;
+        this.isConnected = false;
+    }
+
+    /**
+     * Whether the adapter listens to the microphone itself instead of using sendAudio(),
+     * such adapters can only transcribe the user and are switched with setListening()
+     */
+    get capturesMicrophone() {
+        return false;
+    }
+
+    /**
+     * Starts or stops listening to the microphone, only used if capturesMicrophone is true.
+     * The owner keeps it in step with the app's microphone, so nothing is transcribed that is not sent.
+     * @param {boolean} listening - True while the user's audio is sent to the model
+     */
+    setListening(listening) {}
+
+    /**
+     * Opens the connection to the service
+     * @returns {Promise<void>} Resolves once audio can be sent
+     */
+    async connect() {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    /**
+     * Sends a chunk of audio
+     * @param {ArrayBuffer|Int16Array|Uint8Array} audioData - PCM16 mono samples
+     */
+    sendAudio(audioData) {
+        throw new Error(`${this.constructor.name} does not implement sendAudio()`);
+    }
+
+    /**
+     * Marks the end of a segment, e.g. when the speaker stopped, so buffered audio is transcribed now
+     */
+    flush() {}
+
+    /**
+     * Closes the connection
+     */
+    disconnect() {
+        throw new Error(`${this.constructor.name} does not implement disconnect()`);
+    }
+}
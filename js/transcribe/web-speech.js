@@ -0,0 +1,125 @@
+import { Transcriber } from './transcriber.js';
+
+/**
+ * Transcribes the microphone with the browser's Web Speech API (SpeechRecognition).
+ * Needs no API key, but the browser listens to the microphone itself, so it cannot transcribe
+ * the model's audio and audio passed to sendAudio() is ignored. Recognition only runs between
+ * setListening(true) and setListening(false).
+ * Chrome sends the audio to Google's speech service, other browsers may recognize on device.
+ */
+export class WebSpeechTranscriber extends Transcriber {
+    /**
+     * @param {string} [language=navigator.language] - BCP 47 language tag
+     */
+    constructor(language = navigator.language) {
+        super(null);
+        this.language = language;
+        this.recognition = null;
+        this.shouldListen = false;
+        this.isListening = false;
+        console.info('WebSpeechTranscriber initialized');
+    }
+
+    /**
+     * Whether the browser implements the Web Speech API
+     * @returns {boolean} True if SpeechRecognition is available
+     */
+    static isSupported() {
+        return Boolean(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+
+    get capturesMicrophone() {
+        return true;
+    }
+
+    async connect() {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        if (!SpeechRecognition) {
+            throw new Error('Web Speech API is not supported in this browser');
+        }
+
+        this.recognition = new SpeechRecognition();
+        this.recognition.lang = this.language;
+        this.recognition.continuous = true;
+        this.recognition.interimResults = true;
+        this.shouldListen = false;
+        this.isListening = false;
+
+        this.recognition.onresult = (event) => {
+            let interim = '';
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const transcript = event.results[i][0].transcript.trim();
+                if (!transcript) continue;
+                if (event.results[i].isFinal) {
+                    this.emit('transcription', transcript);
+                } else {
+                    interim += (interim ? ' ' : '') + transcript;
+                }
+            }
+            if (interim) {
+                this.emit('interim', interim);
+            }
+        };
+
+        this.recognition.onerror = (event) => {
+            // 'no-speech' and 'aborted' are part of normal operation
+            if (event.error === 'no-speech' || event.error === 'aborted') return;
+            console.error('Speech recognition error:', event.error);
+            this.emit('error', new Error(`Speech recognition error: ${event.error}`));
+            if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+                this.shouldListen = false;
+            }
+        };
+
+        this.recognition.onstart = () => {
+            this.isListening = true;
+            console.info('Speech recognition started');
+        };
+
+        // Recognition ends by itself after a while of silence, restart it until setListening(false)
+        this.recognition.onend = () => {
+            this.isListening = false;
+            if (this.shouldListen) {
+                try {
+                    this.recognition.start();
+                } catch (error) {
+                    console.error('Failed to restart speech recognition:', error);
+                }
+            }
+        };
+
+        // Nothing is heard until the owner calls setListening(true)
+        this.isConnected = true;
+        this.emit('connected');
+    }
+
+    setListening(listening) {
+        if (!this.recognition || listening === this.shouldListen) return;
+        this.shouldListen = listening;
+        try {
+            if (listening && !this.isListening) {
+                this.recognition.start();
+            } else if (!listening) {
+                // abort() drops what was heard so far, it was not sent to the model either
+                this.recognition.abort();
+            }
+        } catch (error) {
+            console.error('Failed to switch speech recognition:', error);
+        }
+    }
+
+    sendAudio() {
+        // The browser captures the microphone itself
+    }
+
+    disconnect() {
+        this.shouldListen = false;
+        if (this.recognition) {
+            this.recognition.abort();
+            this.recognition = null;
+        }
+        this.isConnected = false;
+        this.isListening = false;
+        this.emit('disconnected');
+    }
+}
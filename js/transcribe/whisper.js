@@ -0,0 +1,193 @@
+import { Transcriber } from './transcriber.js';
+import { encodeWav } from '../audio/session-audio-recorder.js';
+
+// Audio collected before an HTTP request is sent even if no segment end was signalled
+const MAX_SEGMENT_MS = 10000;
+// Shorter segments are dropped, Whisper tends to hallucinate text for them
+const MIN_SEGMENT_MS = 300;
+// Segments quieter than this are dropped for the same reason
+const SILENCE_THRESHOLD_DB = -50;
+
+/**
+ * Transcribes audio with a locally hosted Whisper-compatible server, chosen by the URL scheme:
+ *
+ * - http(s)://: an OpenAI-compatible transcription endpoint (e.g. http://localhost:8000/v1/audio/transcriptions).
+ *   Audio is buffered per segment and posted as a WAV file in a multipart form with `file` and `model`,
+ *   the response is JSON with a `text` field.
+ * - ws(s)://: a streaming server. Audio is sent as binary PCM16 frames, the sample rate is passed as the
+ *   `sample_rate` query parameter and `{"type":"flush"}` marks the end of a segment. Replies are JSON
+ *   `{ "text": "...", "is_final": true }` (or `"type": "partial"|"final"`), plain text replies are final.
+ */
+export class WhisperTranscriber extends Transcriber {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Endpoint of the server
+     * @param {number} options.sampleRate - Rate of the audio passed to sendAudio()
+     * @param {string} [options.model='whisper-1'] - Model name sent to HTTP servers
+     * @param {string} [options.language=''] - ISO 639-1 language hint, empty to let the server detect it
+     */
+    constructor({ url, sampleRate, model = 'whisper-1', language = '' }) {
+        super(sampleRate);
+        if (!url) throw new Error('Whisper server URL is required');
+        this.url = url;
+        this.model = model;
+        this.language = language;
+        this.isStreaming = /^wss?:/i.test(url);
+        this.ws = null;
+        this.segment = [];              // Int16Array chunks of the current HTTP segment
+        this.segmentLength = 0;
+        this.requestQueue = Promise.resolve();  // Keeps HTTP transcripts in order
+        console.info(`WhisperTranscriber initialized (${this.isStreaming ? 'WebSocket' : 'HTTP'})`);
+    }
+
+    async connect() {
+        if (!this.isStreaming) {
+            // Nothing to open, every segment is a separate request
+            this.isConnected = true;
+            this.emit('connected');
+            return;
+        }
+
+        const url = new URL(this.url);
+        url.searchParams.set('sample_rate', this.sampleRate);
+        url.searchParams.set('encoding', 'linear16');
+        if (this.language) url.searchParams.set('language', this.language);
+
+        console.info('Attempting to connect to Whisper WebSocket...');
+        this.ws = new WebSocket(url);
+        this.ws.binaryType = 'arraybuffer';
+
+        await new Promise((resolve, reject) => {
+            this.ws.onopen = () => {
+                this.isConnected = true;
+                console.info('Whisper WebSocket connection established');
+                this.emit('connected');
+                resolve();
+            };
+
+            this.ws.onmessage = (event) => this.handleMessage(event.data);
+
+            this.ws.onerror = (error) => {
+                console.error('Whisper WebSocket error:', error);
+                this.emit('error', error);
+                if (!this.isConnected) {
+                    reject(new Error('Failed to connect to Whisper server'));
+                }
+            };
+
+            this.ws.onclose = () => {
+                console.info('Whisper WebSocket connection closed');
+                this.isConnected = false;
+                this.emit('disconnected');
+            };
+        });
+    }
+
+    /**
+     * Handles a reply of a streaming server
+     * @param {string} data - JSON or plain text reply
+     * @private
+     */
+    handleMessage(data) {
+        if (typeof data !== 'string') return;
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            message = { text: data };
+        }
+        const text = (message.text ?? message.transcript ?? '').trim();
+        if (!text) return;
+        const isFinal = message.type ? message.type !== 'partial' : message.is_final !== false;
+        this.emit(isFinal ? 'transcription' : 'interim', text);
+    }
+
+    sendAudio(audioData) {
+        if (!this.isConnected) {
+            throw new Error('Whisper transcriber is not connected');
+        }
+        if (this.isStreaming) {
+            this.ws.send(audioData);
+            return;
+        }
+
+        const samples = audioData instanceof Int16Array
+            ? audioData.slice()
+            : new Int16Array(audioData instanceof ArrayBuffer ? audioData.slice(0) : audioData.slice().buffer);
+        this.segment.push(samples);
+        this.segmentLength += samples.length;
+        if (this.segmentLength >= MAX_SEGMENT_MS * this.sampleRate / 1000) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (!this.isConnected) return;
+        if (this.isStreaming) {
+            this.ws.send(JSON.stringify({ type: 'flush' }));
+            return;
+        }
+        if (!this.segmentLength) return;
+
+        const samples = new Float32Array(this.segmentLength);
+        let offset = 0;
+        for (const chunk of this.segment) {
+            for (let i = 0; i < chunk.length; i++) samples[offset + i] = chunk[i] / 32768;
+            offset += chunk.length;
+        }
+        this.segment = [];
+        this.segmentLength = 0;
+
+        if (samples.length < MIN_SEGMENT_MS * this.sampleRate / 1000 || isSilent(samples)) return;
+        this.requestQueue = this.requestQueue
+            .then(() => this.transcribe(encodeWav([samples], this.sampleRate)))
+            .catch((error) => {
+                console.error('Whisper transcription failed:', error);
+                this.emit('error', error);
+            });
+    }
+
+    /**
+     * Posts a segment to the HTTP endpoint and emits its text
+     * @param {Blob} wav - Segment as WAV file
+     * @private
+     */
+    async transcribe(wav) {
+        const form = new FormData();
+        form.append('file', wav, 'segment.wav');
+        form.append('model', this.model);
+        form.append('response_format', 'json');
+        if (this.language) form.append('language', this.language);
+
+        const response = await fetch(this.url, { method: 'POST', body: form });
+        if (!response.ok) {
+            throw new Error(`Whisper server responded with ${response.status} ${response.statusText}`);
+        }
+        const text = (await response.json()).text?.trim();
+        // disconnect() may have been called while the request was running
+        if (text && this.isConnected) {
+            this.emit('transcription', text);
+        }
+    }
+
+    disconnect() {
+        // Audio that was not flushed yet is dropped
+        this.isConnected = false;
+        this.segment = [];
+        this.segmentLength = 0;
+        if (this.ws) {
+            this.ws.close();
+            this.ws = null;
+        }
+    }
+}
+
+/**
+ * @param {Float32Array} samples - Audio in [-1, 1]
+ * @returns {boolean} True if the RMS level is below SILENCE_THRESHOLD_DB
+ */
+function isSilent(samples) {
+    let sum = 0;
+    for (const sample of samples) sum += sample * sample;
+    return 20 * Math.log10(Math.sqrt(sum / samples.length) || 1e-8) < SILENCE_THRESHOLD_DB;
+}
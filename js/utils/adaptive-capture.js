@@ -0,0 +1,116 @@
+/**
+ * AdaptiveCaptureController picks the frame rate, width and JPEG quality of camera and screen frames
+ * from the state of the WebSocket. It backs off multiplicatively when the send buffer fills up or
+ * frames take longer to leave the socket than the connection's baseline, and creeps back up while there
+ * is headroom (AIMD, like TCP). All three values follow a single level between the user's min and max.
+ *
+ * Audio always wins: images are held back while the socket still has a backlog, with a much lower
+ * limit while the user is speaking, so microphone chunks never queue behind a large JPEG.
+ */
+
+// Evaluate the signals at most this often, both capture loops report to the same controller
+const UPDATE_INTERVAL_MS = 500;
+
+// Send buffer levels that count as congestion and as headroom
+const HIGH_WATER_BYTES = 256 * 1024;
+const LOW_WATER_BYTES = 16 * 1024;
+
+// Backlog above which images are not sent at all, with and without audio flowing
+const MAX_IMAGE_BACKLOG_BYTES = 512 * 1024;
+const AUDIO_IMAGE_BACKLOG_BYTES = 32 * 1024;
+
+// AIMD steps of the level
+const DECREASE_FACTOR = 0.7;
+const INCREASE_STEP = 0.05;
+const HEALTHY_UPDATES_BEFORE_INCREASE = 4;
+
+// Weight of a new send delay sample in its moving average
+const DELAY_SMOOTHING = 0.3;
+
+export class AdaptiveCaptureController {
+    /**
+     * @param {Object} options
+     * @param {boolean} [options.enabled=true] - If false the max values are always used, images still yield to audio
+     * @param {{min: number, max: number}} options.fps - Frames per second
+     * @param {{min: number, max: number}} options.width - Width of sent frames in pixels
+     * @param {{min: number, max: number}} options.quality - JPEG quality (0-1)
+     */
+    constructor({ enabled = true, fps, width, quality }) {
+        this.enabled = enabled;
+        this.bounds = { fps, width, quality };
+        this.level = 1;                 // 0 = min of every bound, 1 = max
+        this.healthyUpdates = 0;
+        this.lastUpdate = 0;
+        this.sendDelayMs = null;        // Moving average of the time frames take to leave the socket
+        this.baselineDelayMs = null;    // Lowest average seen, what the connection does when idle
+        this.settings = this.computeSettings();
+    }
+
+    /**
+     * Re-evaluates the level from the socket state
+     * @param {Object} state
+     * @param {number} state.bufferedAmount - Bytes queued in the WebSocket
+     * @param {number|null} [state.sendDelayMs] - Time the last frame took to leave the socket
+     * @param {number|null} [state.roundTripMs] - Round trip of the last setup handshake
+     * @returns {boolean} True if the settings changed
+     */
+    update({ bufferedAmount, sendDelayMs = null, roundTripMs = null }) {
+        if (!this.enabled) return false;
+        const now = performance.now();
+        if (now - this.lastUpdate < UPDATE_INTERVAL_MS) return false;
+        this.lastUpdate = now;
+
+        if (sendDelayMs !== null) {
+            this.sendDelayMs = this.sendDelayMs === null
+                ? sendDelayMs
+                : this.sendDelayMs + (sendDelayMs - this.sendDelayMs) * DELAY_SMOOTHING;
+            this.baselineDelayMs = Math.min(this.baselineDelayMs ?? Infinity, this.sendDelayMs);
+        }
+
+        // A frame is late when it takes much longer than usual, and longer than a round trip
+        const delayLimit = Math.max(2 * (this.baselineDelayMs ?? 0) + 100, roundTripMs ?? 0);
+        const isDelayed = this.sendDelayMs !== null && this.sendDelayMs > delayLimit;
+        const isCongested = bufferedAmount > HIGH_WATER_BYTES || isDelayed;
+        const hasHeadroom = bufferedAmount < LOW_WATER_BYTES && !isDelayed;
+
+        const previous = this.level;
+        if (isCongested) {
+            this.level *= DECREASE_FACTOR;
+            this.healthyUpdates = 0;
+        } else if (hasHeadroom && ++this.healthyUpdates >= HEALTHY_UPDATES_BEFORE_INCREASE) {
+            this.level = Math.min(1, this.level + INCREASE_STEP);
+        }
+        if (this.level === previous) return false;
+
+        const settings = this.computeSettings();
+        const changed = Object.keys(settings).some((key) => settings[key] !== this.settings[key]);
+        this.settings = settings;
+        if (changed) {
+            console.info(`Capture ${this.level < previous ? 'reduced' : 'raised'}`, { ...settings, bufferedAmount, sendDelayMs: Math.round(this.sendDelayMs ?? 0) });
+        }
+        return changed;
+    }
+
+    /**
+     * Whether an image may be sent now without delaying audio
+     * @param {number} bufferedAmount - Bytes queued in the WebSocket
+     * @param {boolean} audioActive - Whether microphone audio is currently being sent
+     * @returns {boolean} False if the image should be dropped
+     */
+    canSendImage(bufferedAmount, audioActive) {
+        return bufferedAmount < (audioActive ? AUDIO_IMAGE_BACKLOG_BYTES : MAX_IMAGE_BACKLOG_BYTES);
+    }
+
+    /**
+     * @returns {{fps: number, width: number, quality: number}} Values at the current level
+     * @private
+     */
+    computeSettings() {
+        const value = ({ min, max }) => min + (max - min) * this.level;
+        return {
+            fps: Math.round(value(this.bounds.fps) * 10) / 10,
+            width: Math.round(value(this.bounds.width) / 16) * 16,
+            quality: Math.round(value(this.bounds.quality) * 20) / 20
+        };
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Parts of the capture pipeline shared by the camera and the screen manager: skipping of unchanged
+ * frames with its counters in the preview, and the encoding set by the adaptive capture controller.
+ */
+import { FrameChangeDetector } from './frame-change-detector.js';
+
+export class FrameFilter {
+    /**
+     * Starts a capture session, its counters start at zero
+     * @param {Object} changeDetection - Skipping of unchanged frames, see getFrameChangeConfig()
+     * @param {boolean} changeDetection.enabled - If false every frame is sent
+     * @param {number} changeDetection.keyframeIntervalMs - A frame is sent at least this often
+     * @param {HTMLElement|null} [previewContainer] - Preview that shows the counters while change detection is enabled
+     */
+    constructor({ enabled, keyframeIntervalMs }, previewContainer = null) {
+        this.changeDetector = enabled ? new FrameChangeDetector({ keyframeIntervalMs }) : null;
+        this.stats = { sent: 0, skipped: 0 };
+        this.statsElement = null;
+        if (previewContainer && enabled) {
+            this.statsElement = document.createElement('div');
+            this.statsElement.className = 'frame-stats';
+            previewContainer.appendChild(this.statsElement);
+            this.updateStats();
+        }
+    }
+
+    /**
+     * Decides whether a frame is sent and counts it
+     * @param {HTMLCanvasElement} canvas - Capture canvas holding the frame, after any redaction
+     * @returns {boolean} False if the frame looks like the last sent one
+     */
+    shouldSend(canvas) {
+        const send = !this.changeDetector || this.changeDetector.check(canvas).send;
+        this.stats[send ? 'sent' : 'skipped']++;
+        this.updateStats();
+        return send;
+    }
+
+    /**
+     * Forgets the last sent frame, e.g. when the captured area changes. The next frame is always sent.
+     */
+    reset() {
+        this.changeDetector?.reset();
+    }
+
+    /**
+     * Shows the sent and skipped frame counters in the preview
+     * @private
+     */
+    updateStats() {
+        if (this.statsElement) {
+            this.statsElement.textContent = `${this.stats.sent} sent · ${this.stats.skipped} skipped`;
+        }
+    }
+}
+
+/**
+ * Stores the size and JPEG quality of the following frames in a capture config
+ * @param {Object} config - Config of the camera or screen manager
+ * @param {Object} encoding - Values from the adaptive capture controller
+ * @param {number} encoding.width - Target width, the height follows the aspect ratio
+ * @param {number} encoding.quality - JPEG quality (0-1)
+ * @returns {boolean} True if the width changed
+ */
+export function applyEncoding(config, { width, quality }) {
+    config.quality = quality;
+    if (width === config.width) return false;
+    config.width = width;
+    return true;
+}
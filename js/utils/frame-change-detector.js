@@ -0,0 +1,172 @@
+/**
+ * FrameChangeDetector decides whether a captured frame differs enough from the last sent one
+ * to be worth sending. Each frame is downscaled to a small luminance grid, from which it compares
+ * a 64-bit average hash (overall structure, robust to noise) and the share of grid cells whose
+ * brightness changed (small local changes like a typed word). Frames are compared with the last
+ * frame that was sent, so slow drift still adds up to a change.
+ */
+
+// Size of the luminance grid, the height follows the frame's aspect ratio
+const GRID_WIDTH = 64;
+// Size of the average hash, HASH_SIZE x HASH_SIZE bits
+const HASH_SIZE = 8;
+
+export class FrameChangeDetector {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.keyframeIntervalMs=10000] - A frame is sent at least this often, 0 to never force one
+     * @param {number} [options.pixelThreshold=8] - Luminance difference (0-255) of a grid cell that counts as changed
+     * @param {number} [options.minChangedRatio=0.0004] - Share of changed cells from which a frame counts as changed
+     * @param {number} [options.maxHashDistance=2] - Differing hash bits tolerated as noise
+     */
+    constructor({ keyframeIntervalMs = 10000, pixelThreshold = 8, minChangedRatio = 0.0004, maxHashDistance = 2 } = {}) {
+        this.keyframeIntervalMs = keyframeIntervalMs;
+        this.pixelThreshold = pixelThreshold;
+        this.minChangedRatio = minChangedRatio;
+        this.maxHashDistance = maxHashDistance;
+        this.reset();
+    }
+
+    /**
+     * Forgets the last sent frame, the next frame is always sent
+     */
+    reset() {
+        this.reference = null;      // { luminance, hash } of the last sent frame
+        this.lastSentAt = 0;
+    }
+
+    /**
+     * Compares a frame with the last sent one and, if it is to be sent, makes it the new reference
+     * @param {HTMLCanvasElement} source - Capture canvas holding the frame
+     * @returns {{send: boolean, reason: 'first'|'changed'|'keyframe'|'unchanged', changedRatio: number, hashDistance: number}} Decision
+     */
+    check(source) {
+        const frame = this.measure(source);
+        const now = performance.now();
+        let reason;
+        let changedRatio = 1;
+        let hashDistance = HASH_SIZE * HASH_SIZE;
+
+        if (!this.reference || this.reference.luminance.length !== frame.luminance.length) {
+            reason = 'first';
+        } else {
+            changedRatio = this.changedRatio(this.reference.luminance, frame.luminance);
+            hashDistance = hammingDistance(this.reference.hash, frame.hash);
+            if (changedRatio >= this.minChangedRatio || hashDistance > this.maxHashDistance) {
+                reason = 'changed';
+            } else if (this.keyframeIntervalMs > 0 && now - this.lastSentAt >= this.keyframeIntervalMs) {
+                reason = 'keyframe';
+            } else {
+                reason = 'unchanged';
+            }
+        }
+
+        const send = reason !== 'unchanged';
+        if (send) {
+            this.reference = frame;
+            this.lastSentAt = now;
+        }
+        return { send, reason, changedRatio, hashDistance };
+    }
+
+    /**
+     * Downscales a frame to the luminance grid and computes its average hash
+     * @param {HTMLCanvasElement} source - Frame to measure
+     * @returns {{luminance: Uint8Array, hash: Uint8Array}} Grid and hash bits
+     * @private
+     */
+    measure(source) {
+        const { luminance, width, height } = luminanceGrid(source, GRID_WIDTH, HASH_SIZE);
+        return { luminance, hash: averageHash(luminance, width, height) };
+    }
+
+    /**
+     * @param {Uint8Array} previous - Luminance grid of the reference frame
+     * @param {Uint8Array} current - Luminance grid of the new frame
+     * @returns {number} Share of cells whose luminance changed by more than pixelThreshold
+     * @private
+     */
+    changedRatio(previous, current) {
+        let changed = 0;
+        for (let i = 0; i < current.length; i++) {
+            if (Math.abs(current[i] - previous[i]) > this.pixelThreshold) changed++;
+        }
+        return changed / current.length;
+    }
+}
+
+// Scratch canvas of luminanceGrid(), reused since every capture loop measures each frame
+let gridCanvas = null;
+let gridCtx = null;
+
+/**
+ * Downscales a frame to a grid of Rec. 601 luma values
+ * @param {HTMLCanvasElement|HTMLVideoElement} source - Frame to measure
+ * @param {number} width - Grid width, the height follows the frame's aspect ratio
+ * @param {number} [minHeight=1] - Lowest grid height, for very wide frames
+ * @returns {{luminance: Uint8Array, width: number, height: number}} Grid, row by row
+ */
+export function luminanceGrid(source, width, minHeight = 1) {
+    const sourceWidth = source.videoWidth ?? source.width;
+    const sourceHeight = source.videoHeight ?? source.height;
+    const height = Math.max(minHeight, Math.round(width * sourceHeight / sourceWidth));
+
+    if (!gridCanvas) {
+        gridCanvas = document.createElement('canvas');
+        gridCtx = gridCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    if (gridCanvas.width !== width || gridCanvas.height !== height) {
+        gridCanvas.width = width;
+        gridCanvas.height = height;
+    }
+    // Average over the whole cell instead of sampling a few pixels, so noise cancels out.
+    // Set on every call, resizing the canvas resets the context state.
+    gridCtx.imageSmoothingQuality = 'high';
+    gridCtx.drawImage(source, 0, 0, width, height);
+    const { data } = gridCtx.getImageData(0, 0, width, height);
+
+    const luminance = new Uint8Array(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+        luminance[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+    }
+    return { luminance, width, height };
+}
+
+/**
+ * Average hash: one bit per block of the grid, set if the block is brighter than the whole frame
+ * @param {Uint8Array} luminance - Luminance grid
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @returns {Uint8Array} HASH_SIZE * HASH_SIZE bits
+ */
+function averageHash(luminance, width, height) {
+    const blocks = new Float32Array(HASH_SIZE * HASH_SIZE);
+    const counts = new Uint16Array(HASH_SIZE * HASH_SIZE);
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y * HASH_SIZE / height) * HASH_SIZE;
+        for (let x = 0; x < width; x++) {
+            const block = row + Math.floor(x * HASH_SIZE / width);
+            blocks[block] += luminance[y * width + x];
+            counts[block]++;
+        }
+    }
+    let mean = 0;
+    for (let i = 0; i < blocks.length; i++) {
+        blocks[i] /= counts[i];
+        mean += blocks[i] / blocks.length;
+    }
+    return Uint8Array.from(blocks, (value) => (value > mean ? 1 : 0));
+}
+
+/**
+ * @param {Uint8Array} a - Hash bits
+ * @param {Uint8Array} b - Hash bits
+ * @returns {number} Number of differing bits
+ */
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) distance++;
+    }
+    return distance;
+}
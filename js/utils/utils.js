@@ -59,4 +59,15 @@ export function arrayBufferToBase64(buffer) {
     } catch (error) {
         console.error('Failed to convert array buffer to base64: ' + error.message);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Extracts the sample rate from an audio mimeType such as 'audio/pcm;rate=24000'.
+ * @param {string} mimeType - Audio mimeType with an optional rate parameter
+ * @returns {number|null} Sample rate in Hz, or null if the mimeType has no valid rate
+ */
+export function parseSampleRate(mimeType) {
+    const match = /;\s*rate\s*=\s*(\d+)/i.exec(mimeType || '');
+    const rate = match ? parseInt(match[1], 10) : NaN;
+    return rate > 0 ? rate : null;
+}
@@ -5,7 +5,20 @@
  * @extends EventEmitter
  */
 import { EventEmitter } from '../utils/event-emitter.js';
-import { blobToJSON, base64ToArrayBuffer } from '../utils/utils.js';
+import { blobToJSON, base64ToArrayBuffer, parseSampleRate } from '../utils/utils.js';
+
+/**
+ * Default reconnect policy. Delays are in milliseconds; the n-th attempt waits
+ * initialDelay * multiplier^(n-1), capped at maxDelay and randomized by ±jitter.
+ */
+const DEFAULT_RECONNECT_OPTIONS = {
+    enabled: true,
+    maxRetries: 5,
+    initialDelay: 500,
+    maxDelay: 15000,
+    multiplier: 2,
+    jitter: 0.3
+};
 
 export class GeminiWebsocketClient extends EventEmitter {
     /**
@@ -13,8 +26,9 @@ export class GeminiWebsocketClient extends EventEmitter {
      * @param {string} name - Name for the websocket client.
      * @param {string} url - URL for the Gemini API that contains the API key at the end.
      * @param {Object} config - Configuration object for the Gemini API.
+     * @param {Object} [reconnect] - Reconnect policy, see DEFAULT_RECONNECT_OPTIONS.
      */
-    constructor(name, url, config) {
+    constructor(name, url, config, reconnect = {}) {
         super();
         this.name = name || 'WebSocketClient';
         this.url = url;
@@ -23,6 +37,41 @@ export class GeminiWebsocketClient extends EventEmitter {
         this.isConnecting = false;
         this.connectionPromise = null;
         this._isSetupComplete = false;
+
+        // Automatic reconnect and session resumption
+        this.reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...reconnect };
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.isReconnecting = false;
+        this.manualDisconnect = false;
+        this.hasSession = false;
+        this.resumptionHandle = null;
+        this.resumingWithHandle = null;
+
+        // Optional SessionRecorder capturing all frames on the wire
+        this.recorder = null;
+
+        // Connection timing read by the adaptive capture controller
+        this.setupSentAt = null;
+        this.roundTripMs = null;        // From sending setup to setupComplete
+        this.sendDelayMs = null;        // Time the last image took to leave the socket
+        this.drainTimer = null;
+    }
+
+    /**
+     * Bytes queued in the socket that were not sent to the network yet
+     * @returns {number} Buffered bytes, 0 without a socket
+     */
+    get bufferedAmount() {
+        return this.ws?.bufferedAmount ?? 0;
+    }
+
+    /**
+     * Attaches a recorder that captures every frame sent and received by this client.
+     * @param {SessionRecorder|null} recorder - Recorder instance, or null to stop recording
+     */
+    setRecorder(recorder) {
+        this.recorder = recorder;
     }
 
     /**
@@ -41,42 +90,42 @@ export class GeminiWebsocketClient extends EventEmitter {
             return this.connectionPromise;
         }
 
-        // Retrieve API key from localStorage
-        let apiKey = null;
-        try {
-            apiKey = localStorage.getItem('deepgramApiKey');
-            console.log('[DEBUG] localStorage deepgramApiKey:', apiKey);
-        } catch (e) {
-            console.error('[DEBUG] Error accessing localStorage for deepgramApiKey:', e);
-        }
-
-        if (!apiKey) {
-            const errorMsg = 'No Deepgram API key provided';
-            console.error('[DEBUG]', errorMsg);
-            this.emit('error', errorMsg);
-            return Promise.reject(new Error(errorMsg));
-        }
+        // A manual connect supersedes any pending automatic reconnect
+        this.cancelReconnect();
+        this.manualDisconnect = false;
 
-        // Append API key as query param
+        // The API key, if any, is already part of the URL built by getWebsocketUrl()
         let wsUrl;
         try {
             wsUrl = new URL(this.url);
-            wsUrl.searchParams.set('key', apiKey);
-            console.log('[DEBUG] WebSocket URL:', wsUrl.toString());
+            console.log('[DEBUG] WebSocket URL:', wsUrl.origin + wsUrl.pathname);
         } catch (e) {
             console.error('[DEBUG] Invalid WebSocket URL:', this.url, e);
             this.emit('error', 'Invalid WebSocket URL');
             return Promise.reject(e);
         }
 
+        this.wsUrl = wsUrl.toString();
+        return this.openSocket();
+    }
+
+    /**
+     * Opens a new WebSocket to the stored URL and sends the setup message once it is open.
+     * Used both for the initial connection and for automatic reconnect attempts.
+     * @returns {Promise} Resolves when the socket is open and the setup message was sent
+     * @private
+     */
+    openSocket() {
         console.info('[DEBUG] 🔗 Establishing WebSocket connection...');
         this.isConnecting = true;
         this.connectionPromise = new Promise((resolve, reject) => {
             let ws;
+            let opened = false;
             try {
-                ws = new WebSocket(wsUrl.toString());
+                ws = new WebSocket(this.wsUrl);
             } catch (e) {
                 console.error('[DEBUG] Failed to create WebSocket:', e);
+                this.isConnecting = false;
                 reject(e);
                 return;
             }
@@ -84,24 +133,25 @@ export class GeminiWebsocketClient extends EventEmitter {
             // Send setup message upon successful connection
             ws.addEventListener('open', () => {
                 console.info('[DEBUG] 🔗 Successfully connected to websocket');
+                opened = true;
                 this.ws = ws;
                 this.isConnecting = false;
 
-                // Configure
-                this.sendJSON({ setup: this.config });
-                console.debug("[DEBUG] Setup message with the following configuration was sent:", this.config);
+                // Configure, resuming the previous server session when we hold a handle for it
+                const setup = this.buildSetup();
+                this.setupSentAt = performance.now();
+                this.sendJSON({ setup });
+                console.debug("[DEBUG] Setup message with the following configuration was sent:", setup);
                 resolve();
             });
 
-            // Handle connection errors
+            // Handle connection errors. A 'close' event always follows, which takes care of cleanup and reconnects
             ws.addEventListener('error', (error) => {
                 console.error('[DEBUG] WebSocket connection error:', error);
-                this.disconnect(ws);
                 const reason = error.reason || 'Unknown';
-                const message = `Could not connect to "${wsUrl.toString()}". Reason: ${reason}`;
+                const message = `Could not connect to "${this.wsUrl}". Reason: ${reason}`;
                 console.error('[DEBUG]', message, error);
                 this.emit('error', message);
-                reject(error);
             });
 
             // Listen for incoming messages, expecting Blob data for binary streams
@@ -116,41 +166,140 @@ export class GeminiWebsocketClient extends EventEmitter {
             // Handle connection closure
             ws.addEventListener('close', (event) => {
                 console.warn(`[DEBUG] 🔗 WebSocket connection closed. Code: ${event.code}, Reason: "${event.reason}", Clean: ${event.wasClean}`);
-                this.disconnect(ws); // Ensure state is cleaned up
-
-                // Detect authentication failure by close code or reason
-                const authFailure = (
-                    [4001, 4003, 1008].includes(event.code) ||
-                    (event.reason && /auth|token|key/i.test(event.reason))
-                );
-
-                if (authFailure) {
-                    const authMsg = `Authentication failed. Code: ${event.code}, Reason: ${event.reason}`;
-                    console.error('[DEBUG]', authMsg);
-                    this.emit('auth_failed', authMsg);
-                    this.emit('error', authMsg);
-                } else {
-                    // Optionally emit a 'disconnected' event for other parts of the app
-                    this.emit('disconnected', { code: event.code, reason: event.reason, wasClean: event.wasClean });
-                }
 
-                // Reject the connection promise if it's still pending during a close event
-                if (this.isConnecting) {
+                if (!opened) {
+                    // Reject the connection promise if it's still pending during a close event
                     this.isConnecting = false;
                     reject(new Error(`WebSocket closed during connection attempt. Code: ${event.code}, Reason: ${event.reason}`));
+                } else if (this.ws === ws) {
+                    // Ensure state is cleaned up
+                    this.ws = null;
+                    this._isSetupComplete = false;
+                } else if (this.ws || this.isConnecting) {
+                    // A newer socket has already replaced this one
+                    return;
                 }
+
+                this.handleClose(event);
             });
         });
 
         return this.connectionPromise;
     }
 
+    /**
+     * Builds the setup message payload from the session config.
+     * Always asks the server for session resumption updates and includes the
+     * latest resumption handle, if any, so a reconnect continues the same conversation.
+     * @returns {Object} Setup payload
+     */
+    buildSetup() {
+        this.resumingWithHandle = this.resumptionHandle;
+        return {
+            ...this.config,
+            sessionResumption: this.resumptionHandle ? { handle: this.resumptionHandle } : {}
+        };
+    }
+
+    /**
+     * Decides what to do after the socket closed: report an auth failure,
+     * schedule a reconnect attempt, or give up and report the disconnect.
+     * @param {CloseEvent} event - The close event of the socket
+     * @private
+     */
+    handleClose(event) {
+        const details = { code: event.code, reason: event.reason, wasClean: event.wasClean };
+
+        // Detect authentication failure by close code or reason
+        const authFailure = (
+            [4001, 4003, 1008].includes(event.code) ||
+            (event.reason && /auth|token|key/i.test(event.reason))
+        );
+
+        if (authFailure) {
+            const authMsg = `Authentication failed. Code: ${event.code}, Reason: ${event.reason}`;
+            console.error('[DEBUG]', authMsg);
+            this.resetSession();
+            this.emit('auth_failed', authMsg);
+            this.emit('error', authMsg);
+            return;
+        }
+
+        // Only sessions that were fully set up at least once are worth reconnecting
+        if (!this.manualDisconnect && this.hasSession && this.scheduleReconnect()) {
+            return;
+        }
+
+        if (this.reconnectAttempts > 0 && !this.manualDisconnect) {
+            console.error(`${this.name} gave up reconnecting after ${this.reconnectAttempts} attempts`);
+            this.emit('reconnect_failed', { attempts: this.reconnectAttempts });
+        }
+        this.resetSession();
+        this.emit('disconnected', details);
+    }
+
+    /**
+     * Schedules the next reconnect attempt using exponential backoff with jitter.
+     * @returns {boolean} False if reconnecting is disabled or the retry cap was reached
+     * @private
+     */
+    scheduleReconnect() {
+        const { enabled, maxRetries, initialDelay, maxDelay, multiplier, jitter } = this.reconnectOptions;
+        if (!enabled || this.reconnectAttempts >= maxRetries) {
+            return false;
+        }
+
+        this.reconnectAttempts++;
+        const backoff = Math.min(maxDelay, initialDelay * Math.pow(multiplier, this.reconnectAttempts - 1));
+        // Spread attempts of many clients by randomizing the delay within ±jitter
+        const delay = Math.round(backoff * (1 + jitter * (Math.random() * 2 - 1)));
+
+        this.isReconnecting = true;
+        console.info(`${this.name} reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${maxRetries})`);
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, maxRetries, delay });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.openSocket().catch((error) => {
+                console.warn(`${this.name} reconnect attempt ${this.reconnectAttempts} failed:`, error.message);
+            });
+        }, delay);
+        return true;
+    }
+
+    /**
+     * Clears a pending reconnect attempt, if any.
+     */
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.isReconnecting = false;
+        this.reconnectAttempts = 0;
+    }
+
+    /**
+     * Forgets the current server session so the next connection starts a fresh one.
+     * @private
+     */
+    resetSession() {
+        this.cancelReconnect();
+        this.hasSession = false;
+        this.resumptionHandle = null;
+    }
+
     disconnect() {
+        this.manualDisconnect = true;
+        this.resetSession();
+        clearTimeout(this.drainTimer);
+        this.drainTimer = null;
         if (this.ws) {
             this.ws.close();
             this.ws = null;
             this.isConnecting = false;
             this.connectionPromise = null;
+            this._isSetupComplete = false;
             console.info(`${this.name} successfully disconnected from websocket`);
         }
     }
@@ -162,7 +311,8 @@ export class GeminiWebsocketClient extends EventEmitter {
      */
     async receive(blob) {
         const response = await blobToJSON(blob);
-        
+        this.recorder?.record('in', response);
+
         // Handle tool call responses
         if (response.toolCall) {
             console.debug(`${this.name} received tool call`, response);       
@@ -171,10 +321,37 @@ export class GeminiWebsocketClient extends EventEmitter {
         }
         if (response.setupComplete) {
             this._isSetupComplete = true;
+            if (this.setupSentAt !== null) {
+                this.roundTripMs = performance.now() - this.setupSentAt;
+                this.setupSentAt = null;
+            }
+            this.hasSession = true;
+            if (this.isReconnecting) {
+                const info = { attempts: this.reconnectAttempts, resumed: Boolean(this.resumingWithHandle) };
+                console.info(`${this.name} reconnected`, info);
+                this.cancelReconnect();
+                this.emit('reconnected', info);
+            }
             this.emit('setupComplete');
             return;
         }
 
+        // Keep the latest handle to resume this session after a dropped connection
+        if (response.sessionResumptionUpdate) {
+            const { newHandle, resumable } = response.sessionResumptionUpdate;
+            if (resumable && newHandle) {
+                this.resumptionHandle = newHandle;
+            }
+            return;
+        }
+
+        // Server is about to close the connection, the close handler will reconnect
+        if (response.goAway) {
+            console.warn(`${this.name} received goAway, time left: ${response.goAway.timeLeft}`);
+            this.emit('go_away', response.goAway);
+            return;
+        }
+
         // Handle tool call cancellation
         if (response.toolCallCancellation) {
             console.debug(`${this.name} received tool call cancellation`, response);
@@ -185,6 +362,18 @@ export class GeminiWebsocketClient extends EventEmitter {
         // Process server content (text/audio/interruptions)
         if (response.serverContent) {
             const { serverContent } = response;
+            // Emitted first, grounding can arrive in the same message as turnComplete
+            if (serverContent.groundingMetadata) {
+                console.debug(`${this.name} received grounding metadata`, serverContent.groundingMetadata);
+                this.emit('grounding', serverContent.groundingMetadata);
+            }
+            // Native transcriptions of the user's and the model's speech
+            if (serverContent.inputTranscription?.text) {
+                this.emit('input_transcription', serverContent.inputTranscription.text);
+            }
+            if (serverContent.outputTranscription?.text) {
+                this.emit('output_transcription', serverContent.outputTranscription.text);
+            }
             if (serverContent.interrupted) {
                 console.debug(`${this.name} is interrupted`);
                 this.emit('interrupted');
@@ -195,30 +384,29 @@ export class GeminiWebsocketClient extends EventEmitter {
                 this.emit('turn_complete');
             }
             if (serverContent.modelTurn) {
-                // Split content into text, audio, and non-audio parts
-                let parts = serverContent.modelTurn.parts;
-
-                // Filter out text parts
-                const textParts = parts.filter((p) => p.text);
-                textParts.forEach((p) => {
-                    this.emit('text', p.text);
-                });
-
-                // Filter out audio parts from the model's content parts
-                const audioParts = parts.filter((p) => p.inlineData && p.inlineData.mimeType.startsWith('audio/pcm'));
-                
-                // Extract base64 encoded audio data from the audio parts
-                const base64s = audioParts.map((p) => p.inlineData?.data);
-                
-                // Create an array of non-audio parts by excluding the audio parts
-                const otherParts = parts.filter((p) => !audioParts.includes(p));
-
-                // Process audio data
-                base64s.forEach((b64) => {
-                    if (b64) {
-                        const data = base64ToArrayBuffer(b64);
-                        this.emit('audio', data);
+                // Handle the parts in the order the model produced them, so that text, code and its
+                // results line up in the chat. Everything but audio and code is also emitted as content.
+                const otherParts = [];
+                serverContent.modelTurn.parts.forEach((p) => {
+                    if (p.inlineData?.mimeType?.startsWith('audio/pcm')) {
+                        // Audio data together with its sample rate from the mimeType, e.g. audio/pcm;rate=24000
+                        if (p.inlineData.data) {
+                            this.emit('audio', base64ToArrayBuffer(p.inlineData.data), parseSampleRate(p.inlineData.mimeType));
+                        }
+                        return;
+                    }
+                    if (p.executableCode) {
+                        this.emit('executable_code', p.executableCode);
+                        return;
+                    }
+                    if (p.codeExecutionResult) {
+                        this.emit('code_execution_result', p.codeExecutionResult);
+                        return;
                     }
+                    if (p.text) {
+                        this.emit('text', p.text);
+                    }
+                    otherParts.push(p);
                 });
 
                 // Emit remaining content
@@ -236,17 +424,52 @@ export class GeminiWebsocketClient extends EventEmitter {
      * Sends encoded audio chunk to the Gemini API.
      * 
      * @param {string} base64audio - The base64 encoded audio string.
+     * @param {number} [sampleRate=16000] - Sample rate of the 16-bit PCM audio, sent as the rate= parameter of the mimeType.
      */
-    async sendAudio(base64audio) {
+    async sendAudio(base64audio, sampleRate = 16000) {
         if (!this._isSetupComplete) {
             console.warn('Attempted to send audio before setup completed.');
             return;
         }
-        const data = { realtimeInput: { mediaChunks: [{ mimeType: 'audio/pcm', data: base64audio }] } };
+        const data = { realtimeInput: { mediaChunks: [{ mimeType: `audio/pcm;rate=${sampleRate}`, data: base64audio }] } };
         await this.sendJSON(data);
         console.debug(`Sending audio chunk to ${this.name}.`);
     }
 
+    /**
+     * Signals the start of user activity when automatic activity detection is disabled (push-to-talk).
+     */
+    async sendActivityStart() {
+        if (!this._isSetupComplete) {
+            console.warn('Attempted to send activity start before setup completed.');
+            return;
+        }
+        await this.sendJSON({ realtimeInput: { activityStart: {} } });
+        console.debug(`Activity start sent to ${this.name}.`);
+    }
+
+    /**
+     * Signals the end of user activity, the model then answers what it heard since activityStart.
+     */
+    async sendActivityEnd() {
+        if (!this._isSetupComplete) {
+            console.warn('Attempted to send activity end before setup completed.');
+            return;
+        }
+        await this.sendJSON({ realtimeInput: { activityEnd: {} } });
+        console.debug(`Activity end sent to ${this.name}.`);
+    }
+
+    /**
+     * Tells the server that the audio stream paused, e.g. when client-side VAD stops sending silence,
+     * so that it does not wait for more audio before ending the user's turn.
+     */
+    async sendAudioStreamEnd() {
+        if (!this._isSetupComplete) return;
+        await this.sendJSON({ realtimeInput: { audioStreamEnd: true } });
+        console.debug(`Audio stream end sent to ${this.name}.`);
+    }
+
     /**
      * Sends encoded image to the Gemini API.
      * 
@@ -258,10 +481,36 @@ export class GeminiWebsocketClient extends EventEmitter {
             return;
         }
         const data = { realtimeInput: { mediaChunks: [{ mimeType: 'image/jpeg', data: base64image }] } };
+        const queuedBefore = this.bufferedAmount;
         await this.sendJSON(data);
+        this.measureSendDelay(queuedBefore);
         console.debug(`Image with a size of ${Math.round(base64image.length/1024)} KB was sent to the ${this.name}.`);
     }
 
+    /**
+     * Measures how long the message just sent takes to leave the socket, i.e. until the buffer
+     * drained back to what was queued before it. Stored in sendDelayMs, a previous measurement
+     * still running is abandoned.
+     * @param {number} queuedBefore - bufferedAmount before the message was sent
+     * @private
+     */
+    measureSendDelay(queuedBefore) {
+        clearTimeout(this.drainTimer);
+        const ws = this.ws;
+        const startedAt = performance.now();
+        const poll = () => {
+            if (this.ws !== ws) return;
+            // Audio chunks sent in the meantime are small, treat a few KB above the old level as drained
+            if (ws.bufferedAmount <= queuedBefore + 4096) {
+                this.sendDelayMs = performance.now() - startedAt;
+                this.drainTimer = null;
+                return;
+            }
+            this.drainTimer = setTimeout(poll, 20);
+        };
+        poll();
+    }
+
     /**
      * Sends a text message to the Gemini API.
      * 
@@ -286,40 +535,34 @@ export class GeminiWebsocketClient extends EventEmitter {
         console.debug(`Text sent to ${this.name}:`, text);
     }
     /**
-     * Sends the result of the tool call to Gemini.
-     * @param {Object} toolResponse - The response object
-     * @param {any} toolResponse.output - The output of the tool execution (string, number, object, etc.)
-     * @param {string} toolResponse.id - The identifier of the tool call from toolCall.functionCalls[0].id
-     * @param {string} toolResponse.error - Send the output as null and the error message if the tool call failed (optional)
+     * Sends the results of one or more tool calls to Gemini in a single toolResponse message.
+     * @param {Object|Array<Object>} toolResponses - A response object or an array of them
+     * @param {any} toolResponses.output - The output of the tool execution (string, number, object, etc.)
+     * @param {string} toolResponses.id - The identifier of the tool call from toolCall.functionCalls[i].id
+     * @param {string} [toolResponses.name] - The name of the called function
+     * @param {string|Object} toolResponses.error - Send the output as null and the error message or structured error if the tool call failed (optional)
      */
-    async sendToolResponse(toolResponse) {
+    async sendToolResponse(toolResponses) {
         if (!this._isSetupComplete) {
             console.warn('Attempted to send tool response before setup completed.');
             return;
         }
-        if (!toolResponse || !toolResponse.id) {
-            throw new Error('Tool response must include an id');
-        }
-    
-        const { output, id, error } = toolResponse;
-        let result = [];
-    
-        if (error) {
-            result = [{
-                response: { error: error },
-                id
-            }];
-        } else if (output === undefined) {
-            throw new Error('Tool response must include an output when no error is provided');
-        } else {
-            result = [{
-                response: { output: output },
-                id
-            }];
-        }
-    
-        await this.sendJSON({ toolResponse: {functionResponses: result} });
-        console.debug(`Tool response sent to ${this.name}:`, toolResponse);
+
+        const functionResponses = [].concat(toolResponses).map((toolResponse) => {
+            if (!toolResponse || !toolResponse.id) {
+                throw new Error('Tool response must include an id');
+            }
+
+            const { output, id, name, error } = toolResponse;
+            if (error) {
+                return { response: { error: error }, id, name };
+            }
+            // Side-effect tools often resolve nothing, the API needs an output value
+            return { response: { output: output === undefined ? null : output }, id, name };
+        });
+
+        await this.sendJSON({ toolResponse: { functionResponses } });
+        console.debug(`Tool response sent to ${this.name}:`, toolResponses);
     }
 
     /**
@@ -329,7 +572,8 @@ export class GeminiWebsocketClient extends EventEmitter {
      * @returns {Promise} - Resolves when the message is sent or rejects with an error
      */
     async sendJSON(json) {
-        if (!this._isSetupComplete) {
+        // The setup message itself is the only one allowed before setup completes
+        if (!this._isSetupComplete && !json.setup) {
             console.warn('Attempted to send JSON before setup completed.');
             return;
         }
@@ -345,6 +589,7 @@ export class GeminiWebsocketClient extends EventEmitter {
                 throw error;
             }
             this.ws.send(JSON.stringify(json));
+            this.recorder?.record('out', json);
             console.debug(`JSON Object was sent to ${this.name}:`, json);
         } catch (error) {
             console.error(`Error sending message: ${error}`);
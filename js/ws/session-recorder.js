@@ -0,0 +1,254 @@
+/**
+ * Wire-level recording and replay of the Live API WebSocket traffic.
+ * SessionRecorder captures every frame sent and received by GeminiWebsocketClient
+ * into a timestamped JSONL log, SessionReplayer feeds such a log back through
+ * GeminiWebsocketClient.receive() with the original timing.
+ * This makes it possible to reproduce bugs without a live API key and to attach exact traffic to bug reports.
+ */
+
+// Base64 media kept in a full recording before further media is only hashed, about 20 minutes of camera and microphone
+const MAX_MEDIA_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Computes a 32-bit FNV-1a hash of a string.
+ * Fast and synchronous, which keeps the order of recorded frames intact.
+ * @param {string} str - String to hash
+ * @returns {string} Hash as 8 hex characters
+ */
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Returns a copy of a message where every base64 media payload ({ mimeType, data })
+ * is replaced with its hash and length.
+ * @param {*} value - Message or part of a message
+ * @returns {*} Copy without media payloads
+ */
+function stripMedia(value) {
+    if (Array.isArray(value)) {
+        return value.map(stripMedia);
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.mimeType === 'string' && typeof value.data === 'string') {
+            const { data, ...rest } = value;
+            return { ...rest, dataHash: `fnv1a:${fnv1a(data)}`, dataLength: data.length };
+        }
+        const copy = {};
+        for (const [key, child] of Object.entries(value)) {
+            copy[key] = stripMedia(child);
+        }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Adds up the base64 media payloads of a message.
+ * @param {*} value - Message or part of a message
+ * @returns {number} Total length of the payloads in characters, which is their size in memory
+ */
+function mediaSize(value) {
+    if (Array.isArray(value)) {
+        return value.reduce((sum, child) => sum + mediaSize(child), 0);
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.mimeType === 'string' && typeof value.data === 'string') {
+            return value.data.length;
+        }
+        return Object.values(value).reduce((sum, child) => sum + mediaSize(child), 0);
+    }
+    return 0;
+}
+
+/**
+ * Inverse of stripMedia() for replay: hashed media payloads are replaced with zero-filled
+ * data of the original length, so audio keeps its duration and plays as silence.
+ * @param {*} value - Message or part of a message
+ * @returns {*} Copy with placeholder media payloads
+ */
+function restoreMedia(value) {
+    if (Array.isArray(value)) {
+        return value.map(restoreMedia);
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.mimeType === 'string' && typeof value.dataHash === 'string') {
+            const { dataHash, dataLength, ...rest } = value;
+            return { ...rest, data: 'A'.repeat(dataLength || 0) };
+        }
+        const copy = {};
+        for (const [key, child] of Object.entries(value)) {
+            copy[key] = restoreMedia(child);
+        }
+        return copy;
+    }
+    return value;
+}
+
+export class SessionRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.includeMedia=false] - Keep base64 media in the log instead of hashes
+     * @param {number} [options.maxMediaBytes] - Media kept with includeMedia, later frames only get hashes
+     */
+    constructor({ includeMedia = false, maxMediaBytes = MAX_MEDIA_BYTES } = {}) {
+        this.includeMedia = includeMedia;
+        this.maxMediaBytes = maxMediaBytes;
+        this.startedAt = new Date();
+        this.startTime = performance.now();
+        this.entries = [];
+        this.mediaBytes = 0;
+        this.mediaLimitReachedAt = null;   // Time of the first frame whose media was hashed because of the limit
+    }
+
+    /**
+     * Records a single frame.
+     * @param {'out'|'in'} direction - 'out' for frames sent to the API, 'in' for frames received from it
+     * @param {Object} message - Parsed JSON frame
+     */
+    record(direction, message) {
+        const t = Math.round(performance.now() - this.startTime);
+        let keepMedia = this.includeMedia && this.mediaLimitReachedAt === null;
+        if (keepMedia) {
+            const size = mediaSize(message);
+            if (this.mediaBytes + size > this.maxMediaBytes) {
+                keepMedia = false;
+                this.mediaLimitReachedAt = t;
+                console.warn(`Session recording reached ${Math.round(this.maxMediaBytes / 1024 / 1024)} MB of media, recording further frames without media`);
+            } else {
+                this.mediaBytes += size;
+            }
+        }
+        this.entries.push({
+            t,
+            direction,
+            // Snapshot, the caller may still change objects it shares with the frame (stripMedia() copies too)
+            message: keepMedia ? structuredClone(message) : stripMedia(message)
+        });
+    }
+
+    /**
+     * Drops all recorded frames and restarts the clock.
+     */
+    clear() {
+        this.entries = [];
+        this.mediaBytes = 0;
+        this.mediaLimitReachedAt = null;
+        this.startedAt = new Date();
+        this.startTime = performance.now();
+    }
+
+    /**
+     * Serializes the log, one JSON object per line. The first line holds metadata about the recording.
+     * @returns {string} JSONL log
+     */
+    toJSONL() {
+        const meta = {
+            meta: {
+                startedAt: this.startedAt.toISOString(),
+                includeMedia: this.includeMedia,
+                ...(this.mediaLimitReachedAt !== null && { mediaLimitReachedAt: this.mediaLimitReachedAt }),
+                userAgent: navigator.userAgent
+            }
+        };
+        return [meta, ...this.entries].map((entry) => JSON.stringify(entry)).join('\n') + '\n';
+    }
+
+    /**
+     * Downloads the log as a .jsonl file.
+     * @param {string} [filename] - Name of the downloaded file
+     */
+    download(filename = `gemini-session-${this.startedAt.toISOString().replace(/[:.]/g, '-')}.jsonl`) {
+        const blob = new Blob([this.toJSONL()], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        console.info(`Session log with ${this.entries.length} frames downloaded`);
+    }
+}
+
+export class SessionReplayer {
+    /**
+     * @param {string} jsonl - Log produced by SessionRecorder.toJSONL()
+     */
+    constructor(jsonl) {
+        this.entries = jsonl
+            .split('\n')
+            .filter((line) => line.trim())
+            .map((line) => JSON.parse(line))
+            .filter((entry) => !entry.meta);
+        this.isReplaying = false;
+        this.timer = null;
+        this.resolveWait = null;
+    }
+
+    /**
+     * Feeds the received frames of the log back through client.receive() with their original timing.
+     * Sent frames are only logged, they were produced by the client itself.
+     * @param {GeminiWebsocketClient} client - Client whose receive() gets the frames
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - Playback speed factor, 2 replays twice as fast
+     * @returns {Promise<void>} Resolves when the replay finished or was stopped
+     */
+    async replay(client, { speed = 1 } = {}) {
+        this.isReplaying = true;
+        console.info(`Replaying session log with ${this.entries.length} frames at ${speed}x`);
+
+        let previousTime = this.entries.length ? this.entries[0].t : 0;
+        for (const entry of this.entries) {
+            await this.wait((entry.t - previousTime) / speed);
+            if (!this.isReplaying) break;
+            previousTime = entry.t;
+
+            if (entry.direction === 'in') {
+                const message = restoreMedia(entry.message);
+                await client.receive(new Blob([JSON.stringify(message)], { type: 'application/json' }));
+            } else {
+                console.debug(`Replay: frame sent at ${entry.t}ms`, entry.message);
+            }
+        }
+
+        this.isReplaying = false;
+        console.info('Session replay finished');
+    }
+
+    /**
+     * Stops a running replay after the current frame.
+     */
+    stop() {
+        this.isReplaying = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.resolveWait) {
+            this.resolveWait();
+            this.resolveWait = null;
+        }
+    }
+
+    /**
+     * Waits for the given time, resolving early if the replay is stopped.
+     * @param {number} ms - Time to wait in milliseconds
+     * @private
+     */
+    wait(ms) {
+        if (ms <= 0) return Promise.resolve();
+        return new Promise((resolve) => {
+            this.resolveWait = resolve;
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.resolveWait = null;
+                resolve();
+            }, ms);
+        });
+    }
+}
@@ -0,0 +1,391 @@
+/**
+ * Local mock of the Gemini Live API (BidiGenerateContent) for offline development.
+ * Speaks the subset of the protocol GeminiWebsocketClient uses: setup/setupComplete,
+ * clientContent, realtimeInput, toolCall/toolResponse and serverContent with text,
+ * audio/pcm parts, groundingMetadata, interrupted and turnComplete. Responses are scripted by fixture files.
+ *
+ * Usage:
+ *   node mock-server/server.mjs [--port 8765] [--host 127.0.0.1] [--fixture mock-server/fixtures/default.json]
+ *
+ * Then set "Custom WebSocket URL" in the API settings to ws://localhost:8765
+ */
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { acceptUpgrade } from './websocket.mjs';
+
+const OUTPUT_SAMPLE_RATE = 24000;     // Rate of the generated model audio
+const AUDIO_CHUNK_MS = 100;           // Duration of each generated audio chunk
+const SPEECH_RMS_THRESHOLD = 0.02;    // Input level treated as user speech
+const END_OF_SPEECH_MS = 800;         // Silence after speech that ends the user's turn
+const TOOL_RESPONSE_TIMEOUT_MS = 30000;
+
+/**
+ * Parses --name value pairs from the command line.
+ * @param {string[]} argv - Arguments without node and script path
+ * @returns {Object} Options keyed by name
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * Loads and validates a fixture file.
+ * @param {string} path - Path of the JSON fixture
+ * @returns {{rules: Array<Object>}} Fixture
+ */
+function loadFixture(path) {
+    const fixture = JSON.parse(readFileSync(path, 'utf8'));
+    if (!Array.isArray(fixture.rules)) {
+        throw new Error(`Fixture ${path} must contain a "rules" array`);
+    }
+    fixture.rules.forEach((rule) => {
+        rule.on = rule.on || 'text';
+        rule.pattern = new RegExp(rule.match || '.*', 'i');
+    });
+    return fixture;
+}
+
+/**
+ * Generates a base64 encoded PCM16 sine tone.
+ * @param {number} durationMs - Length of the tone
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} startSample - Sample offset, keeps the phase continuous across chunks
+ * @returns {string} Base64 encoded little endian PCM16
+ */
+function generateTone(durationMs, frequency, startSample) {
+    const samples = Math.round(OUTPUT_SAMPLE_RATE * durationMs / 1000);
+    const buffer = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        const t = (startSample + i) / OUTPUT_SAMPLE_RATE;
+        buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * t) * 0.3 * 32767), i * 2);
+    }
+    return buffer.toString('base64');
+}
+
+/**
+ * Computes the RMS level of a base64 encoded PCM16 chunk.
+ * @param {string} base64 - Audio data
+ * @returns {number} RMS in the range [0, 1]
+ */
+function rmsLevel(base64) {
+    const buffer = Buffer.from(base64, 'base64');
+    const samples = Math.floor(buffer.length / 2);
+    if (!samples) return 0;
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+        const value = buffer.readInt16LE(i * 2) / 32768;
+        sum += value * value;
+    }
+    return Math.sqrt(sum / samples);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * State of one client connection: setup, the running model turn and user speech detection.
+ */
+class MockSession {
+    /**
+     * @param {WebSocketConnection} connection - Client connection
+     * @param {Object} fixture - Loaded fixture
+     * @param {number} id - Session number for logging
+     */
+    constructor(connection, fixture, id) {
+        this.connection = connection;
+        this.fixture = fixture;
+        this.id = id;
+        this.setup = null;
+        this.turn = null;                 // { cancelled, pendingToolCall } of the running model turn
+        this.toolCallCounter = 0;
+        this.resumptionCounter = 0;
+
+        // User speech detection on incoming realtime audio
+        this.userSpeaking = false;
+        this.speechTimer = null;
+        this.manualActivity = false;      // Client signals activityStart/activityEnd itself
+
+        connection.on('message', (data) => this.handleMessage(data));
+        // Socket errors like ECONNRESET from a killed tab, the socket's 'close' follows and ends the session
+        connection.on('error', (error) => this.log('connection error:', error.code || error.message));
+        connection.on('close', (code) => {
+            this.log(`closed (${code})`);
+            this.cancelTurn();
+            clearTimeout(this.speechTimer);
+        });
+    }
+
+    log(...args) {
+        console.log(`[session ${this.id}]`, ...args);
+    }
+
+    send(message) {
+        this.connection.send(JSON.stringify(message));
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.log('invalid JSON received, closing');
+            this.connection.close(1007, 'Invalid JSON');
+            return;
+        }
+
+        if (message.setup) {
+            this.setup = message.setup;
+            this.log('setup', { model: message.setup.model, resumption: message.setup.sessionResumption });
+            this.send({ setupComplete: {} });
+            return;
+        }
+
+        if (!this.setup) {
+            this.connection.close(1007, 'setup must be the first message');
+            return;
+        }
+
+        if (message.clientContent) {
+            this.handleClientContent(message.clientContent);
+        } else if (message.realtimeInput) {
+            this.handleRealtimeInput(message.realtimeInput);
+        } else if (message.toolResponse) {
+            this.handleToolResponse(message.toolResponse);
+        } else {
+            this.log('unsupported message', Object.keys(message));
+        }
+    }
+
+    handleClientContent({ turns = [], turnComplete }) {
+        const text = turns
+            .flatMap((turn) => [].concat(turn.parts || []))
+            .map((part) => part.text || '')
+            .join(' ')
+            .trim();
+        this.log('clientContent', JSON.stringify(text));
+        if (turnComplete) {
+            this.startTurn('text', text);
+        }
+    }
+
+    handleRealtimeInput(realtimeInput) {
+        if (realtimeInput.activityStart) {
+            this.manualActivity = true;
+            this.onUserSpeechStart();
+            return;
+        }
+        if (realtimeInput.activityEnd) {
+            this.onUserSpeechEnd();
+            return;
+        }
+        // Client-side VAD stopped sending audio, end the turn without waiting for trailing silence
+        if (realtimeInput.audioStreamEnd && !this.manualActivity) {
+            this.onUserSpeechEnd();
+            return;
+        }
+
+        const chunks = [
+            ...(realtimeInput.mediaChunks || []),
+            ...(realtimeInput.audio ? [realtimeInput.audio] : []),
+            ...(realtimeInput.video ? [realtimeInput.video] : [])
+        ];
+        for (const chunk of chunks) {
+            if (!chunk.mimeType?.startsWith('audio/') || this.manualActivity) continue;
+
+            if (rmsLevel(chunk.data) >= SPEECH_RMS_THRESHOLD) {
+                if (!this.userSpeaking) {
+                    this.onUserSpeechStart();
+                }
+                clearTimeout(this.speechTimer);
+                this.speechTimer = setTimeout(() => this.onUserSpeechEnd(), END_OF_SPEECH_MS);
+            }
+        }
+    }
+
+    onUserSpeechStart() {
+        this.userSpeaking = true;
+        this.log('user started speaking');
+        // Barge-in: user speech interrupts the model
+        if (this.turn) {
+            this.interruptTurn();
+        }
+    }
+
+    onUserSpeechEnd() {
+        if (!this.userSpeaking) return;
+        this.userSpeaking = false;
+        clearTimeout(this.speechTimer);
+        this.log('user stopped speaking');
+        this.startTurn('audio', '');
+    }
+
+    handleToolResponse({ functionResponses = [] }) {
+        this.log('toolResponse', JSON.stringify(functionResponses));
+        const pending = this.turn?.pendingToolCall;
+        if (pending) {
+            pending.resolve(functionResponses);
+        }
+    }
+
+    /**
+     * Finds the first fixture rule for the input and runs its script as a new model turn.
+     * @param {'text'|'audio'} kind - Type of user input that ended the turn
+     * @param {string} text - User text, empty for audio turns
+     */
+    startTurn(kind, text) {
+        if (this.turn) {
+            this.interruptTurn();
+        }
+
+        const rule = this.fixture.rules.find((r) => r.on === kind && r.pattern.test(text));
+        if (!rule) {
+            this.log(`no ${kind} rule matches`, JSON.stringify(text));
+            this.send({ serverContent: { turnComplete: true } });
+            return;
+        }
+
+        const turn = { cancelled: false, pendingToolCall: null };
+        this.turn = turn;
+        this.runScript(rule.script, turn, text)
+            .catch((error) => this.log('script failed:', error.message))
+            .finally(() => {
+                if (this.turn === turn) this.turn = null;
+            });
+    }
+
+    async runScript(script, turn, userText) {
+        // Substitutes {{text}} with the user's text in any string of the step
+        const fill = (value) => JSON.parse(JSON.stringify(value).replaceAll('{{text}}', JSON.stringify(userText).slice(1, -1)));
+
+        for (const step of script) {
+            if (turn.cancelled) return;
+
+            if (step.wait) {
+                await sleep(step.wait);
+            } else if (step.text !== undefined) {
+                await sleep(step.delay ?? 50);
+                if (turn.cancelled) return;
+                this.send({ serverContent: { modelTurn: { parts: [{ text: fill(step.text) }] } } });
+            } else if (step.audio) {
+                await this.streamTone(step.audio, turn);
+            } else if (step.toolCall) {
+                await this.callTools(fill(step.toolCall), turn);
+            } else if (step.serverContent) {
+                await sleep(step.delay ?? 50);
+                if (turn.cancelled) return;
+                this.send({ serverContent: fill(step.serverContent) });
+            } else if (step.interrupted) {
+                this.send({ serverContent: { interrupted: true } });
+                return;
+            } else if (step.close) {
+                this.connection.close(step.close.code || 1011, step.close.reason || 'Mock server closed the connection');
+                return;
+            } else {
+                this.log('unknown script step', JSON.stringify(step));
+            }
+        }
+
+        if (!turn.cancelled) {
+            this.completeTurn();
+        }
+    }
+
+    async streamTone({ durationMs = 1000, frequency = 440 }, turn) {
+        let sent = 0;
+        while (sent < durationMs && !turn.cancelled) {
+            const chunkMs = Math.min(AUDIO_CHUNK_MS, durationMs - sent);
+            const data = generateTone(chunkMs, frequency, Math.round(OUTPUT_SAMPLE_RATE * sent / 1000));
+            this.send({
+                serverContent: {
+                    modelTurn: { parts: [{ inlineData: { mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`, data } }] }
+                }
+            });
+            sent += chunkMs;
+            // Stream faster than real time like the real API, so the client has to buffer
+            await sleep(chunkMs / 2);
+        }
+    }
+
+    async callTools(toolCall, turn) {
+        const functionCalls = (toolCall.functionCalls || []).map((call) => ({
+            id: call.id || `mock-call-${++this.toolCallCounter}`,
+            ...call
+        }));
+        this.log('toolCall', functionCalls.map((call) => call.name).join(', '));
+
+        const responses = await new Promise((resolve) => {
+            const timer = setTimeout(() => resolve(null), TOOL_RESPONSE_TIMEOUT_MS);
+            turn.pendingToolCall = {
+                ids: functionCalls.map((call) => call.id),
+                resolve: (value) => {
+                    clearTimeout(timer);
+                    resolve(value);
+                }
+            };
+            this.send({ toolCall: { functionCalls } });
+        });
+        turn.pendingToolCall = null;
+
+        if (!responses && !turn.cancelled) {
+            this.log('tool response timed out');
+        }
+    }
+
+    completeTurn() {
+        this.send({ serverContent: { turnComplete: true } });
+        if (this.setup.sessionResumption) {
+            this.send({ sessionResumptionUpdate: { newHandle: `mock-handle-${this.id}-${++this.resumptionCounter}`, resumable: true } });
+        }
+    }
+
+    /**
+     * Stops the running turn and tells the client it was interrupted.
+     */
+    interruptTurn() {
+        const pending = this.turn?.pendingToolCall;
+        this.cancelTurn();
+        if (pending) {
+            this.send({ toolCallCancellation: { ids: pending.ids } });
+        }
+        this.send({ serverContent: { interrupted: true } });
+    }
+
+    cancelTurn() {
+        if (!this.turn) return;
+        this.turn.cancelled = true;
+        this.turn.pendingToolCall?.resolve(null);
+        this.turn = null;
+    }
+}
+
+const scriptDir = dirname(fileURLToPath(import.meta.url));
+const options = parseArgs(process.argv.slice(2));
+const port = parseInt(options.port) || 8765;
+const host = options.host || '127.0.0.1';
+const fixturePath = resolve(options.fixture || resolve(scriptDir, 'fixtures/default.json'));
+const fixture = loadFixture(fixturePath);
+
+let sessionCount = 0;
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('Mock Gemini Live API: connect with a WebSocket client\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const connection = acceptUpgrade(request, socket);
+    if (!connection) return;
+    const session = new MockSession(connection, fixture, ++sessionCount);
+    session.log('connected', request.url.replace(/key=[^&]*/, 'key=***'));
+});
+
+server.listen(port, host, () => {
+    console.log(`Mock Gemini Live API listening on ws://${host}:${port} (fixture: ${fixturePath})`);
+});
@@ -0,0 +1,201 @@
+/**
+ * Minimal WebSocket (RFC 6455) server on top of Node's http module.
+ * Supports exactly what the mock Live API needs: the opening handshake,
+ * masked client frames (including fragmented messages), binary/text sends, ping/pong and close.
+ * No third-party dependencies, so the mock server runs with a plain `node` install.
+ */
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+/**
+ * Server side of a single WebSocket connection.
+ * Emits 'message' (Buffer payload, isBinary), 'close' (code, reason) and 'error'.
+ */
+export class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {import('node:net').Socket} socket - Upgraded TCP socket
+     */
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.isOpen = true;
+
+        socket.on('data', (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.parseFrames();
+        });
+        socket.on('close', () => this.handleSocketClose(1006, ''));
+        socket.on('error', (error) => this.emit('error', error));
+    }
+
+    /**
+     * Sends a message to the client.
+     * @param {Buffer|string} data - Payload
+     * @param {boolean} [binary=true] - Send as binary frame, the browser then receives a Blob
+     */
+    send(data, binary = true) {
+        if (!this.isOpen) return;
+        const payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        this.writeFrame(binary ? OPCODES.binary : OPCODES.text, payload);
+    }
+
+    /**
+     * Starts the closing handshake.
+     * @param {number} [code=1000] - Close code
+     * @param {string} [reason=''] - Close reason
+     */
+    close(code = 1000, reason = '') {
+        if (!this.isOpen) return;
+        const reasonBuffer = Buffer.from(reason);
+        const payload = Buffer.alloc(2 + reasonBuffer.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBuffer.copy(payload, 2);
+        this.writeFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.handleSocketClose(code, reason);
+    }
+
+    /**
+     * Writes a single unmasked, unfragmented frame.
+     * @private
+     */
+    writeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode; // FIN bit set
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Parses as many complete frames as are available in the receive buffer.
+     * @private
+     */
+    parseFrames() {
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                const mask = this.buffer.subarray(maskOffset, maskOffset + 4);
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= mask[i % 4];
+                }
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    /**
+     * @private
+     */
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                if (opcode !== OPCODES.continuation) {
+                    this.fragmentOpcode = opcode;
+                    this.fragments = [];
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments);
+                    this.fragments = [];
+                    this.emit('message', message, this.fragmentOpcode === OPCODES.binary);
+                }
+                break;
+            case OPCODES.ping:
+                this.writeFrame(OPCODES.pong, payload);
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                const reason = payload.length > 2 ? payload.subarray(2).toString() : '';
+                this.close(code === 1005 ? 1000 : code, reason);
+                break;
+            }
+            default:
+                this.close(1002, 'Unsupported opcode');
+        }
+    }
+
+    /**
+     * @private
+     */
+    handleSocketClose(code, reason) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.emit('close', code, reason);
+    }
+}
+
+/**
+ * Completes the WebSocket opening handshake for an http 'upgrade' request.
+ * @param {import('node:http').IncomingMessage} request - Upgrade request
+ * @param {import('node:net').Socket} socket - Underlying socket
+ * @returns {WebSocketConnection|null} The connection, or null if the request was not a valid WebSocket upgrade
+ */
+export function acceptUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '\r\n'
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    return new WebSocketConnection(socket);
+}